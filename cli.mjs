@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+import * as fs from 'fs'
+import * as path from 'path'
+import { execFileSync } from 'child_process'
+import { parseArgs } from 'util'
+import github from '@actions/github'
+import { CommitParser } from 'conventional-commits-parser'
+import { createParserOptions, filterRepoData, getCommits, getRangeCommits, lintCommits, formatLintReport, getNextVersion, setFileVersion, buildChangelog, mergeChangelog, renderTemplate, publishReleases, getPackages, getRepoUrl } from './src/index.js'
+
+const usage = `Usage: conventional-commits-changelog <command> [options]
+
+Commands:
+  generate                 Build the changelog from the current git repository
+  next-version             Recommend the next version from the commits since the latest tag
+  release                  Bump the version, update the changelog, commit and tag the release
+  lint                     Report the commits that are not conventional commits
+
+Options:
+  -f, --file <path>        File to write the changelog to (prints to stdout if omitted)
+  -o, --options <json>     Options JSON string, or path to a JSON file with the options
+  -F, --format <format>    Output format: markdown (default), html, asciidoc or json
+      --only-first         Only include the most recent release
+      --desc-header        Use the release tag message as the release header
+      --merge              Merge new releases into the existing file instead of overwriting it
+      --stdout             Print the changelog to stdout, even when writing to a file
+      --prerelease <id>    Prerelease identifier for next-version (e.g. beta)
+      --json               Print next-version details or the lint report as JSON
+      --range <base..head> Range of commits to lint (default: the commits since the latest tag)
+      --fail               Exit with code 1 when lint finds commits that are not conventional commits
+      --repo <owner/repo>  Read from the GitHub API instead of the local checkout (requires GITHUB_TOKEN)
+      --bump <path>        File to update the version in for release (default: package.json, repeatable)
+      --github             Push the release and create its GitHub release (requires GITHUB_TOKEN)
+      --dry-run            Print the release steps without making any changes
+  -p, --package <name>     Only use this package of the packages option (repeatable)
+  -h, --help               Show this help message
+`
+
+/**
+ * Parses the `--options` flag, which is either a JSON string or a path to a JSON file.
+ *
+ * @param {string|undefined} value - The raw flag value.
+ * @returns {Object} The parsed options object.
+ */
+function loadOptions(value) {
+	if (!value) {
+		return {}
+	}
+
+	const json = value.trim().startsWith('{') ? value : fs.readFileSync(path.resolve(value.trim()), 'utf8')
+
+	return JSON.parse(json.trim())
+}
+
+/**
+ * Resolves the Octokit instance and API params for the `--repo` flag, or null to use the local checkout.
+ *
+ * @param {string|undefined} repo - The `owner/repo` flag value.
+ * @returns {{ octokit: Object|null, params: Object }}
+ */
+function getSource(repo) {
+	if (!repo) {
+		return { octokit: null, params: {} }
+	}
+
+	const [owner, name] = repo.split('/')
+	if (!owner || !name) {
+		throw new Error(`Invalid --repo value "${repo}", expected <owner/repo>`)
+	}
+	if (!process.env.GITHUB_TOKEN) {
+		throw new Error('The GITHUB_TOKEN environment variable is required when using --repo')
+	}
+
+	return { octokit: github.getOctokit(process.env.GITHUB_TOKEN), params: { owner, repo: name } }
+}
+
+/**
+ * Resolves the targets to run a command for: each selected package of the `packages` option, or the whole repository.
+ *
+ * @param {Object} options - The loaded options.
+ * @param {string[]|undefined} names - The `--package` flag values.
+ * @param {string|undefined} file - The `--file` flag value, used when there are no packages.
+ * @returns {Array<{ name: string|null, file: string|null, options: Object }>}
+ */
+function getTargets(options, names, file) {
+	const packages = getPackages(options)
+	if (!packages.length) {
+		if (names?.length) {
+			throw new Error('The --package flag requires the packages option')
+		}
+		return [{ name: null, file: file ?? null, options }]
+	}
+
+	const unknown = (names ?? []).filter(name => !packages.some(pkg => pkg.name === name))
+	if (unknown.length) {
+		throw new Error(`Unknown package "${unknown[0]}"`)
+	}
+
+	return packages.filter(pkg => !names?.length || names.includes(pkg.name))
+}
+
+async function generate(values) {
+	const options = loadOptions(values.options)
+	values['only-first'] && (options.onlyFirst = true)
+	values.format && (options.format = values.format)
+	options.repoUrl ??= values.repo ? `https://github.com/${values.repo}` : getRepoUrl()
+
+	const { octokit, params } = getSource(values.repo)
+
+	for (const target of getTargets(options, values.package, values.file)) {
+		const parser = new CommitParser(createParserOptions(target.options.parser))
+		const { releases } = await filterRepoData(octokit, parser, { unreleasedCommits: false, ...target.options, params: { per_page: 100, ...target.options.params, ...params } })
+		values['desc-header'] && Object.keys(releases).forEach(tagName => releases[tagName].header = releases[tagName].description)
+		let changelog = buildChangelog(releases, target.options).join('\n')
+
+		if (target.file) {
+			const filePath = path.resolve(target.file.trim())
+			if (values.merge && target.options.format === 'markdown' && fs.existsSync(filePath)) {
+				changelog = mergeChangelog(fs.readFileSync(filePath, 'utf8'), changelog, target.options)
+			}
+			fs.writeFileSync(filePath, changelog, 'utf8')
+		}
+		if (!target.file || values.stdout) {
+			process.stdout.write(changelog + '\n')
+		}
+	}
+}
+
+async function nextVersion(values) {
+	const options = loadOptions(values.options)
+	values.prerelease && (options.nextVersion = { ...options.nextVersion, prerelease: values.prerelease })
+
+	const { octokit, params } = getSource(values.repo)
+
+	for (const target of getTargets(options, values.package)) {
+		const parser = new CommitParser(createParserOptions(target.options.parser))
+		const { headVersion, unreleased } = await filterRepoData(octokit, parser, { ...target.options, params: { per_page: 100, ...target.options.params, ...params } })
+		const next = getNextVersion(unreleased.commits, headVersion, target.options.nextVersion)
+		const result = target.name ? { package: target.name, ...next, tag: `${target.options.tagPrefix}${next.version}` } : next
+
+		process.stdout.write((values.json ? JSON.stringify(result, null, 2) : `${target.name ? `${target.name} ` : ''}${next.version}`) + '\n')
+	}
+}
+
+async function lint(values) {
+	const options = loadOptions(values.options)
+	const parser = new CommitParser(createParserOptions(options.parser))
+	const { octokit, params } = getSource(values.repo)
+
+	const { rawCommits, unreleased } = await filterRepoData(octokit, parser, { ...options, params: { per_page: 100, ...options.params, ...params } })
+	let commits = Object.values(unreleased.commits).flat()
+	if (values.range) {
+		const raw = getRangeCommits(values.range.trim(), rawCommits)
+		commits = getCommits(raw, parser, { defaultType: options.defaultType ?? { type: 'feat', subType: 'change' }, labels: options.labels, messageRules: options.messageRules, exclude: options.exclude }).commits
+	}
+	const report = lintCommits(commits)
+	const output = formatLintReport(report, values.json ? 'json' : 'markdown')
+
+	if (values.file) {
+		fs.writeFileSync(path.resolve(values.file.trim()), output, 'utf8')
+	}
+	if (!values.file || values.stdout) {
+		process.stdout.write(output + '\n')
+	}
+	if (values.fail && !report.valid) {
+		process.exitCode = 1
+	}
+}
+
+/**
+ * Runs a git command in the current directory.
+ *
+ * @param {...string} args - The git arguments.
+ * @returns {string} The trimmed output of the command.
+ */
+function git(...args) {
+	return execFileSync('git', args, { encoding: 'utf8' }).trim()
+}
+
+async function release(values) {
+	const loaded = loadOptions(values.options)
+	loaded.repoUrl ??= getRepoUrl()
+	const targets = getTargets(loaded, values.package, values.file)
+	if (targets.length > 1) {
+		throw new Error('Select the package to release with --package <name>')
+	}
+	const [{ name, file: targetFile, options }] = targets
+	if (options.tagPattern) {
+		throw new Error('The release command creates tags from the tagPrefix option, and does not support the tagPattern option')
+	}
+	const tagPrefix = options.tagPrefix ?? ''
+	const releaseOptions = { ...{ files: null, message: name ? `chore(release): ${name}@{{version}}` : 'chore(release): {{version}}', tagMessage: '{{tag}}', draft: false }, ...options.release }
+	values.prerelease && (options.nextVersion = { ...options.nextVersion, prerelease: values.prerelease })
+	const dryRun = !!values['dry-run']
+	const step = message => process.stdout.write(`${dryRun ? '[dry-run] ' : ''}${message}\n`)
+
+	if (!dryRun && git('status', '--porcelain')) {
+		throw new Error('The working tree has uncommitted changes')
+	}
+
+	const parser = new CommitParser(createParserOptions(options.parser))
+	const { releases, headTag, headVersion, unreleased } = await filterRepoData(null, parser, { ...options, unreleased: false })
+	const next = getNextVersion(unreleased.commits, headVersion, options.nextVersion)
+	if (!next.type) {
+		throw new Error(`There are no changes to release since ${headTag ?? 'the first commit'}`)
+	}
+	const tag = `${tagPrefix}${next.version}`
+	step(`Next version: ${tag} (${next.type} bump from ${headTag ?? 'nothing'})`)
+
+	const defaultFile = options.paths?.length ? path.join(options.paths[0], 'package.json') : 'package.json'
+	const files = values.bump?.length ? values.bump : (releaseOptions.files ?? (fs.existsSync(defaultFile) ? [defaultFile] : []))
+	for (const file of files) {
+		const content = setFileVersion(fs.readFileSync(file, 'utf8'), next.version, { file: path.basename(file), current: next.current })
+		step(`Update version in ${file}`)
+		dryRun || fs.writeFileSync(file, content, 'utf8')
+	}
+
+	const vars = { version: next.version.replace(/^v/, ''), tag, previous: headTag ?? '' }
+	const tagMessage = renderTemplate(releaseOptions.tagMessage, vars)
+	const date = new Date().toISOString().slice(0, 10)
+	const newRelease = { ...unreleased, tag, version: next.version, date, unreleased: false, description: tagMessage === tag || tagMessage === vars.version ? null : tagMessage }
+	const allReleases = { [tag]: newRelease, ...releases }
+	values['desc-header'] && Object.keys(allReleases).forEach(tagName => allReleases[tagName].header = allReleases[tagName].description)
+
+	const changelogFile = targetFile ?? 'CHANGELOG.md'
+	let changelog = buildChangelog(allReleases, options).join('\n')
+	if (values.merge && options.format === 'markdown' && fs.existsSync(changelogFile)) {
+		changelog = mergeChangelog(fs.readFileSync(changelogFile, 'utf8'), changelog, options)
+	}
+	step(`Write the changelog to ${changelogFile}`)
+	dryRun || fs.writeFileSync(changelogFile, changelog, 'utf8')
+
+	const message = renderTemplate(releaseOptions.message, vars)
+	step(`Commit "${message}"`)
+	dryRun || (git('add', changelogFile, ...files), git('commit', '-m', message))
+
+	step(`Create tag ${tag} with message "${tagMessage}"`)
+	dryRun || git('tag', '-a', tag, '-m', tagMessage)
+
+	if (values.github) {
+		const repo = values.repo ?? options.repoUrl?.match(/github\.com\/([^/]+\/[^/]+?)(?:\.git)?$/)?.[1]
+		if (!repo) {
+			throw new Error('Could not determine the GitHub repository, use --repo <owner/repo>')
+		}
+		const { octokit, params } = dryRun ? { octokit: null, params: {} } : getSource(repo)
+		step('Push the release commit and tag')
+		dryRun || git('push', '--follow-tags')
+		step(`Create the GitHub release ${tag} in ${repo}`)
+		const [published] = dryRun ? [] : await publishReleases(octokit, { [tag]: newRelease }, { draft: releaseOptions.draft, params, build: options })
+		if (published?.action === 'failed') {
+			throw new Error(`Failed to create the GitHub release ${tag}: ${published.error}`)
+		}
+	}
+}
+
+async function run() {
+	const { values, positionals } = parseArgs({
+		allowPositionals: true,
+		options: {
+			'file': { type: 'string', short: 'f' },
+			'options': { type: 'string', short: 'o' },
+			'format': { type: 'string', short: 'F' },
+			'only-first': { type: 'boolean' },
+			'desc-header': { type: 'boolean' },
+			'merge': { type: 'boolean' },
+			'stdout': { type: 'boolean' },
+			'prerelease': { type: 'string' },
+			'json': { type: 'boolean' },
+			'range': { type: 'string' },
+			'fail': { type: 'boolean' },
+			'repo': { type: 'string' },
+			'bump': { type: 'string', multiple: true },
+			'github': { type: 'boolean' },
+			'dry-run': { type: 'boolean' },
+			'package': { type: 'string', short: 'p', multiple: true },
+			'help': { type: 'boolean', short: 'h' },
+		},
+	})
+
+	const [command] = positionals
+
+	if (values.help || !command) {
+		process.stdout.write(usage)
+		return
+	}
+
+	switch (command) {
+		case 'generate':
+			return generate(values)
+		case 'next-version':
+			return nextVersion(values)
+		case 'release':
+			return release(values)
+		case 'lint':
+			return lint(values)
+		default:
+			throw new Error(`Unknown command "${command}"\n\n${usage}`)
+	}
+}
+
+run().catch(error => {
+	process.stderr.write(`${error.message}\n`)
+	process.exitCode = 1
+})
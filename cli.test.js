@@ -0,0 +1,158 @@
+import { describe, it, expect } from 'vitest'
+import { execFileSync } from 'child_process'
+import * as fs from 'fs'
+import * as path from 'path'
+import { identity, useTempRepo } from './src/test-utils'
+
+const cli = path.resolve('cli.mjs')
+
+describe('cli', () => {
+	const env = { ...process.env, ...identity, GITHUB_TOKEN: '' }
+
+	const { git } = useTempRepo(({ git, commit }) => {
+		fs.writeFileSync('package.json', '{\n  "name": "pkg",\n  "version": "1.0.0"\n}\n')
+		git('add -A')
+		commit('feat: initial feature')
+		git('tag 1.0.0')
+		commit('fix: first bug')
+		commit('feat: second feature')
+		git('tag -a 1.1.0 -m "Second release"')
+		commit('fix: unreleased bug')
+		commit('Update things')
+	})
+	const run = (...args) => {
+		try {
+			return { stdout: execFileSync('node', [cli, ...args], { encoding: 'utf-8', env, stdio: 'pipe' }), stderr: '', status: 0 }
+		} catch (error) {
+			return { stdout: error.stdout, stderr: error.stderr, status: error.status }
+		}
+	}
+
+	it('should print the usage', () => {
+		expect(run('--help').stdout).toContain('Usage: conventional-commits-changelog <command> [options]')
+		expect(run().stdout).toContain('Commands:')
+	})
+
+	it('should fail for unknown commands and options', () => {
+		expect(run('publish')).toMatchObject({ status: 1, stderr: expect.stringContaining('Unknown command "publish"') })
+		expect(run('generate', '--unknown')).toMatchObject({ status: 1, stderr: expect.stringContaining("Unknown option '--unknown'") })
+	})
+
+	describe('generate', () => {
+		it('should print the changelog', () => {
+			const { stdout, status } = run('generate')
+
+			expect(status).toBe(0)
+			expect(stdout).toContain('## 1.1.0')
+			expect(stdout).toContain('- first bug')
+			expect(stdout).not.toContain('unreleased bug')
+		})
+
+		it('should pass the options and flags to the changelog', () => {
+			const { stdout } = run('generate', '-F', 'html', '--only-first', '--options', '{"unreleased": "Next"}')
+
+			expect(stdout).toContain('<h2>Next</h2>')
+			expect(stdout).not.toContain('1.1.0')
+		})
+
+		it('should read the options from a JSON file', () => {
+			fs.writeFileSync('options.json', '{"unreleased": "Next", "onlyFirst": true}')
+			const { stdout } = run('generate', '-o', 'options.json')
+			fs.rmSync('options.json')
+
+			expect(stdout).toContain('## Next')
+			expect(stdout).not.toContain('## 1.1.0')
+			expect(run('generate', '-o', '{"unreleased": ')).toMatchObject({ status: 1, stderr: expect.stringContaining('JSON') })
+		})
+
+		it('should use the tag messages as the release headers with --desc-header', () => {
+			const { stdout } = run('generate', '--desc-header')
+
+			expect(stdout).toContain('Second release')
+			expect(run('generate').stdout).not.toContain('Second release')
+		})
+
+		it('should write the changelog to a file, and to stdout with --stdout', () => {
+			expect(run('generate', '-f', 'CHANGELOG.md').stdout).toBe('')
+			expect(fs.readFileSync('CHANGELOG.md', 'utf8')).toContain('## 1.1.0')
+
+			expect(run('generate', '--file', 'OTHER.md', '--stdout').stdout).toBe(fs.readFileSync('OTHER.md', 'utf8') + '\n')
+
+			fs.rmSync('CHANGELOG.md')
+			fs.rmSync('OTHER.md')
+		})
+	})
+
+	describe('next-version', () => {
+		it('should recommend the next version', () => {
+			expect(run('next-version').stdout).toBe('1.1.1\n')
+			expect(JSON.parse(run('next-version', '--json', '--prerelease', 'beta').stdout)).toEqual({ current: '1.1.0', version: '1.1.1-beta.0', type: 'patch' })
+		})
+
+		it('should use the options to find the unreleased changes and the current version', () => {
+			const messageRules = [{ name: 'things', type: 'feat_change', patterns: ['things'] }]
+
+			expect(JSON.parse(run('next-version', '--json', '-o', JSON.stringify({ messageRules })).stdout)).toEqual({ current: '1.1.0', version: '1.2.0', type: 'minor' })
+			expect(JSON.parse(run('next-version', '--json', '-o', '{"tagPrefix": "v"}').stdout)).toEqual({ current: null, version: '0.0.1', type: 'patch' })
+		})
+	})
+
+	describe('lint', () => {
+		it('should report the unreleased commits that are not conventional commits', () => {
+			const { stdout, status } = run('lint')
+
+			expect(status).toBe(0)
+			expect(stdout).toContain('1 of 2 commits passed.')
+			expect(stdout).toMatch(/\| Update things \| Not a conventional commit \|/)
+		})
+
+		it('should lint a range of commits', () => {
+			const { stdout, status } = run('lint', '--range', '1.1.0..HEAD', '--json', '--fail')
+
+			expect(status).toBe(1)
+			expect(JSON.parse(stdout)).toMatchObject({ valid: false, total: 2, problems: [{ header: 'Update things' }] })
+			expect(run('lint', '--range', '1.0.0..1.1.0', '--fail').status).toBe(0)
+		})
+
+		it('should write the report to a file', () => {
+			expect(run('lint', '--json', '-f', 'lint.json')).toMatchObject({ status: 0, stdout: '' })
+			expect(JSON.parse(fs.readFileSync('lint.json', 'utf8'))).toMatchObject({ valid: false, total: 2 })
+
+			fs.rmSync('lint.json')
+		})
+
+		it('should fail to lint a range that does not resolve', () => {
+			expect(run('lint', '--range', 'deadbeef..HEAD', '--fail', '--json')).toMatchObject({ status: 1, stdout: '', stderr: expect.stringContaining('Could not resolve the commit range "deadbeef..HEAD"') })
+		})
+	})
+
+	describe('release', () => {
+		it('should print the release steps without making changes with --dry-run', () => {
+			const head = git('rev-parse HEAD')
+			const { stdout, status } = run('release', '--dry-run')
+
+			expect(status).toBe(0)
+			expect(stdout.trim().split('\n')).toEqual([
+				'[dry-run] Next version: 1.1.1 (patch bump from 1.1.0)',
+				'[dry-run] Update version in package.json',
+				'[dry-run] Write the changelog to CHANGELOG.md',
+				'[dry-run] Commit "chore(release): 1.1.1"',
+				'[dry-run] Create tag 1.1.1 with message "1.1.1"',
+			])
+			expect(git('rev-parse HEAD')).toBe(head)
+			expect(git('tag --list').trim()).toBe('1.0.0\n1.1.0')
+			expect(git('status --porcelain')).toBe('')
+		})
+
+		it('should release the next version', () => {
+			const { status } = run('release')
+
+			expect(status).toBe(0)
+			expect(git('log -1 --format=%s').trim()).toBe('chore(release): 1.1.1')
+			expect(git('describe --tags --exact-match').trim()).toBe('1.1.1')
+			expect(JSON.parse(fs.readFileSync('package.json', 'utf8')).version).toBe('1.1.1')
+			expect(fs.readFileSync('CHANGELOG.md', 'utf8')).toContain('## 1.1.1')
+			expect(run('release')).toMatchObject({ status: 1, stderr: expect.stringContaining('There are no changes to release since 1.1.1') })
+		})
+	})
+})
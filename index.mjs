@@ -3,34 +3,118 @@ import * as path from 'path'
 import github from '@actions/github'
 import core from '@actions/core'
 import { CommitParser } from 'conventional-commits-parser'
-import { getBooleanInput, filterRepoData, buildChangelog } from './src/index.js'
+import { createParserOptions, getBooleanInput, filterRepoData, getCommits, getRangeCommits, getNextVersion, buildChangelog, mergeChangelog, publishReleases, getPackages, lintCommits, formatLintReport } from './src/index.js'
 
-const octokit = github.getOctokit(process.env.GITHUB_TOKEN)
+const octokit = process.env.GITHUB_TOKEN ? github.getOctokit(process.env.GITHUB_TOKEN) : null
 const context = github.context
-const parser = new CommitParser({
-	breakingHeaderPattern: /^(\w*)(?:\(([^)]*)\))?!:\s(.*)$/,
-	headerPattern: /^(\w*)(?:\(([^)]*)\))?(!)?:\s(.*)$/,
-	headerCorrespondence: ['type', 'scope', 'breaking', 'subject'],
-	mergePattern: /^merge\s+(?:branch\s+)?['"`]?(.+?)['"`]?\s+(?:in)?to\s+(?:branch\s+)?['"`]?(.+?)['"`]?$/i,
-	mergeCorrespondence: ['source', 'target'],
-	fieldPattern: /^\[(.*?)\]$/,
-})
 
-async function run() {
-	const { releases } = await filterRepoData(octokit, parser, { params: { per_page: 100, ...context.repo } })
+async function build(options, file) {
+	const parser = new CommitParser(createParserOptions(options.parser))
+	const data = await filterRepoData(octokit, parser, { ...options, params: { per_page: 100, ...options.params, ...context.repo } })
+	const { releases, headVersion, unreleased, excluded } = data
+	const excludedTotal = Object.values(excluded).reduce((total, count) => total + count, 0)
+	core.debug(`Excluded ${excludedTotal} commits: ${Object.entries(excluded).map(([reason, count]) => `${count} by ${reason}`).join(', ')}`)
 	const useDescAsHeader = getBooleanInput(process.env.DESC_HEADER || null)
 	useDescAsHeader && Object.keys(releases).forEach(tagName => releases[tagName].header = releases[tagName].description)
-	const file = process.env.DEST_FILE || null
-	const options = process.env.BUILD_OPTIONS ? JSON.parse(process.env.BUILD_OPTIONS.trim()) : null
-	const changelog = buildChangelog(releases, options).join('\n')
+	const merge = getBooleanInput(process.env.MERGE_FILE || null)
+	let changelog = buildChangelog(releases, options).join('\n')
 	if (file) {
 		try {
-			fs.writeFileSync(path.join(process.env.GITHUB_WORKSPACE, file.trim()), changelog, 'utf8')
+			const filePath = path.join(process.env.GITHUB_WORKSPACE, file.trim())
+			if (merge && options.format === 'markdown' && fs.existsSync(filePath)) {
+				changelog = mergeChangelog(fs.readFileSync(filePath, 'utf8'), changelog, options)
+			}
+			fs.writeFileSync(filePath, changelog, 'utf8')
 		} catch (error) {
 			core.setFailed(`Failed to write file: ${error.message}`)
 		}
 	}
+	let next = { version: '', type: null }
+	try {
+		next = getNextVersion(unreleased.commits, headVersion, options.nextVersion)
+	} catch (error) {
+		core.warning(`Failed to recommend the next version: ${error.message}`)
+	}
+	const publish = (process.env.PUBLISH_RELEASES || '').trim()
+	if (getBooleanInput(publish)) {
+		if (!octokit) {
+			core.warning('The GITHUB_TOKEN environment variable is required to publish releases')
+		} else {
+			const mode = ['overwrite', 'append', 'skip'].includes(publish) ? publish : 'skip'
+			const published = await publishReleases(octokit, releases, { ...options.publish, mode, params: context.repo, build: options })
+			published.filter(release => ['created', 'updated'].includes(release.action)).forEach(release => core.info(`Release ${release.tag} ${release.action}`))
+			const failed = published.filter(release => release.action === 'failed')
+			failed.length && core.setFailed(`Failed to publish ${failed.map(release => `${release.tag} (${release.error})`).join(', ')}`)
+		}
+	}
+
+	return { changelog, next, data }
+}
+
+async function lint(options, data = null) {
+	const mode = (process.env.LINT_MODE || '').trim()
+	if (!getBooleanInput(mode)) {
+		return
+	}
+	const parser = new CommitParser(createParserOptions(options.parser))
+	const { rawCommits, unreleased } = data ?? await filterRepoData(octokit, parser, { ...options, params: { per_page: 100, ...options.params, ...context.repo } })
+	const range = (process.env.LINT_RANGE || '').trim()
+	let commits = Object.values(unreleased.commits).flat()
+	if (range) {
+		const raw = getRangeCommits(range, rawCommits)
+		commits = getCommits(raw, parser, { defaultType: options.defaultType ?? { type: 'feat', subType: 'change' }, labels: options.labels, messageRules: options.messageRules, exclude: options.exclude }).commits
+	}
+	const report = lintCommits(commits)
+	const markdown = formatLintReport(report)
+	const file = (process.env.LINT_FILE || '').trim()
+	if (file) {
+		try {
+			fs.writeFileSync(path.join(process.env.GITHUB_WORKSPACE, file), file.endsWith('.json') ? formatLintReport(report, 'json') : markdown, 'utf8')
+		} catch (error) {
+			core.setFailed(`Failed to write file: ${error.message}`)
+		}
+	}
+	const annotate = mode === 'fail' ? core.error : core.warning
+	report.problems.forEach(problem => annotate(`${problem.header}: ${problem.reason}`, { title: `Commit ${problem.hash?.slice(0, 7) ?? ''}`.trim() }))
+	try {
+		await core.summary.addRaw(markdown).write()
+	} catch (error) {
+		core.debug(`Failed to write the job summary: ${error.message}`)
+	}
+	core.setOutput('lint-report', formatLintReport(report, 'json'))
+	if (mode === 'fail' && !report.valid) {
+		core.setFailed(`${report.problems.length} of ${report.total} commits are not conventional commits`)
+	}
+}
+
+async function run() {
+	try {
+		await main()
+	} catch (error) {
+		core.setFailed(error.message)
+	}
+}
+
+async function main() {
+	const options = process.env.BUILD_OPTIONS ? JSON.parse(process.env.BUILD_OPTIONS.trim()) : {}
+	process.env.CHANGELOG_FORMAT && (options.format = process.env.CHANGELOG_FORMAT.trim())
+	options.repoUrl ??= `${context.serverUrl}/${context.repo.owner}/${context.repo.repo}`
+	const packages = getPackages(options)
+	if (packages.length) {
+		await lint(options)
+		let outputs = {}
+		for (const pkg of packages) {
+			const { changelog, next } = await build(pkg.options, pkg.file)
+			outputs[pkg.name] = { changelog, nextVersion: next.version, nextTag: next.version ? `${pkg.options.tagPrefix}${next.version}` : '', bumpType: next.type ?? '' }
+		}
+		core.setOutput('packages', JSON.stringify(outputs))
+		return
+	}
+	const { changelog, next, data } = await build(options, process.env.DEST_FILE || null)
+	await lint(options, data)
 	core.setOutput('changelog', changelog)
+	core.setOutput('next-version', next.version)
+	core.setOutput('bump-type', next.type ?? '')
 }
 
 run()
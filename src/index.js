@@ -1,4 +1,4 @@
-import { execSync } from 'child_process'
+import { execFileSync } from 'child_process'
 import semver from 'semver'
 
 /**
@@ -20,8 +20,25 @@ import semver from 'semver'
  * @property {function(): string} toString A method that returns the full version string.
  */
 
+/**
+ * @typedef {Object} Person
+ * @property {string|null} name - The name of the person.
+ * @property {string|null} email - The email address of the person.
+ * @property {string|null} login - The GitHub login of the person, if known.
+ */
+
 /**
  * @typedef {Object} Commit
+ * @property {string|null} hash
+ * @property {Person|null} author
+ * @property {Person|null} committer
+ * @property {Person[]} coAuthors
+ * @property {string|null} date
+ * @property {PullRequest|null} pullRequest
+ * @property {string[]} shas
+ * @property {boolean} conventional - Whether the type comes from a conventional commit header with a valid type.
+ * @property {'header' | 'merge' | 'revert' | 'label' | 'keyword' | 'default'} typeSource - Where the type comes from: the conventional header, merge or revert detection, a pull request label, the keyword analysis, or the default type.
+ * @property {{hash: string|null, tag: string}} [reverts] - The commit reverted by this commit and the tag of its release, if paired by `pairReverts` across releases.
  * @property {string|null} merge
  * @property {Object|null} revert
  * @property {string|null} header
@@ -39,15 +56,184 @@ import semver from 'semver'
  * }>} references
  */
 
+/**
+ * @typedef {Object} RawCommit
+ * @property {string|null} sha - The SHA of the commit.
+ * @property {string} message - The full commit message.
+ * @property {Person|null} author - The author of the commit.
+ * @property {Person|null} [committer] - The committer of the commit.
+ * @property {Person[]} [coAuthors] - Additional co-authors of the commit, besides those in its `Co-authored-by` trailers.
+ * @property {string|null} date - The date the commit was authored.
+ * @property {PullRequest|null} [pullRequest] - The pull request the commit was merged with, if resolved.
+ * @property {string[]} [shas] - The SHAs of all the commits of the pull request, if collapsed into one.
+ */
+
+/**
+ * @typedef {Object} PullRequest
+ * @property {number} number - The number of the pull request.
+ * @property {string} title - The title of the pull request.
+ * @property {string|null} body - The description of the pull request.
+ * @property {string[]} labels - The names of the labels of the pull request.
+ * @property {string|null} url - The web URL of the pull request.
+ * @property {string|null} author - The login of the author of the pull request.
+ */
+
 /**
  * @typedef {Object} Release
  * @property {string} tag - The tag name of the release.
+ * @property {string|null} [version] - The version of the release, which is the tag name without the tag prefix.
  * @property {string|null} name - The name of the release, if any.
  * @property {string} date - The date of the release.
  * @property {string|null} description - The description or message associated with the tag.
  * @property {string[]} messages - An array of commit messages for this release.
  * @property {Object.<string, Commit[]>} commits - An object containing commits grouped by type.
+ * @property {string|null} [previous] - The tag name of the previous release, if any.
+ * @property {boolean} [unreleased] - Whether this release holds the commits made after the latest tag.
+ * @property {GitHubRelease|null} [githubRelease] - The GitHub release of the tag, if it has one.
+ */
+
+/**
+ * @typedef {Object} GitHubRelease
+ * @property {number} id - The id of the GitHub release.
+ * @property {string|null} name - The name of the GitHub release.
+ * @property {string|null} body - The body of the GitHub release.
+ * @property {boolean} draft - Whether the GitHub release is a draft.
+ */
+
+/**
+ * Default options for the `CommitParser` used to parse commit messages.
+ *
+ * @type {Object}
+ */
+const defaultParserOptions = {
+	breakingHeaderPattern: /^(\w*)(?:\(([^)]*)\))?!:\s(.*)$/,
+	headerPattern: /^(\w*)(?:\(([^)]*)\))?(!)?:\s(.*)$/,
+	headerCorrespondence: ['type', 'scope', 'breaking', 'subject'],
+	mergePattern: /^merge\s+(?:branch\s+)?['"`]?(.+?)['"`]?\s+(?:in)?to\s+(?:branch\s+)?['"`]?(.+?)['"`]?$/i,
+	mergeCorrespondence: ['source', 'target'],
+	fieldPattern: /^\[(.*?)\]$/,
+}
+
+const parserPatternKeys = ['headerPattern', 'breakingHeaderPattern', 'mergePattern', 'revertPattern', 'fieldPattern']
+const parserCorrespondenceKeys = { headerPattern: 'headerCorrespondence', mergePattern: 'mergeCorrespondence', revertPattern: 'revertCorrespondence' }
+const parserKeywordKeys = ['noteKeywords', 'issuePrefixes', 'referenceActions']
+
+/**
+ * Parses a regex written as a `/source/flags` literal string, e.g. in the options JSON.
+ *
+ * @param {*} value - The value to parse.
+ * @returns {RegExp|null} The regex, or null if the value is not a regex literal string.
+ * @throws {SyntaxError} If the literal is not a valid regex.
+ */
+function parseRegExpLiteral(value) {
+	const literal = typeof value === 'string' ? value.match(/^\/(.+)\/([a-z]*)$/s) : null
+
+	return literal ? new RegExp(literal[1], literal[2]) : null
+}
+
+/**
+ * Converts a parser option to a regex. Strings are either the source of the regex, or a `/source/flags` literal.
+ *
+ * @param {string|RegExp} value - The option value.
+ * @param {string} key - The option name, used in errors.
+ * @returns {RegExp} The regex.
+ * @throws {Error} If the value is not a string or regex, or is an invalid regex.
+ */
+function toParserRegExp(value, key) {
+	if (value instanceof RegExp) {
+		return value
+	}
+	if (typeof value !== 'string') {
+		throw new Error(`Invalid parser option "${key}", expected a regex string`)
+	}
+
+	try {
+		return parseRegExpLiteral(value) ?? new RegExp(value)
+	} catch (error) {
+		throw new Error(`Invalid parser option "${key}": ${error.message}`)
+	}
+}
+
+/**
+ * Converts an exclusion pattern to a regex. Strings are either the source of a case-insensitive regex, or a `/source/flags` literal.
+ *
+ * @param {string|RegExp} pattern - The pattern.
+ * @param {string} key - The option name, used in errors.
+ * @returns {RegExp} The regex.
+ * @throws {Error} If the pattern is an invalid regex.
+ */
+function toExcludeRegExp(pattern, key) {
+	if (pattern instanceof RegExp) {
+		return pattern
+	}
+
+	try {
+		return parseRegExpLiteral(pattern) ?? new RegExp(pattern, 'i')
+	} catch (error) {
+		throw new Error(`Invalid pattern "${pattern}" in option "${key}": ${error.message}`)
+	}
+}
+
+/**
+ * Creates the options for the `CommitParser` from the `defaultParserOptions` and custom options, e.g. from the options JSON.
+ *
+ * Patterns (`headerPattern`, `breakingHeaderPattern`, `mergePattern`, `revertPattern` and `fieldPattern`) accept regexes,
+ * regex source strings, or `/source/flags` strings, and `null` to disable them. When a pattern with only named capture groups
+ * is given without its correspondence, the correspondence is taken from the group names. Keyword lists (`noteKeywords`,
+ * `issuePrefixes` and `referenceActions`) accept literal strings, and regexes as `/source/flags` strings.
+ *
+ * @param {Object} [options={}] - The custom parser options.
+ * @returns {Object} The options for the `CommitParser`.
+ * @throws {Error} If an option is not a valid regex, a correspondence doesn't match the capture groups of its pattern, or the header correspondence has no `type`.
  */
+function createParserOptions(options = {}) {
+	let parserOptions = { ...defaultParserOptions, ...options }
+
+	for (const key of parserPatternKeys) {
+		if (parserOptions[key] === null || parserOptions[key] === undefined) {
+			delete parserOptions[key]
+			continue
+		}
+		parserOptions[key] = toParserRegExp(parserOptions[key], key)
+	}
+
+	for (const [key, correspondenceKey] of Object.entries(parserCorrespondenceKeys)) {
+		const pattern = parserOptions[key]
+		if (!pattern) continue
+		const groups = new RegExp(`${pattern.source}|`).exec('').length - 1
+		const names = [...pattern.source.matchAll(/\(\?<([a-zA-Z_$][\w$]*)>/g)].map(match => match[1])
+		if (options[key] && !options[correspondenceKey] && names.length && names.length === groups) {
+			parserOptions[correspondenceKey] = names
+		}
+		// The CommitParser has its own default revert correspondence
+		const correspondence = parserOptions[correspondenceKey] ?? (correspondenceKey === 'revertCorrespondence' ? ['header', 'hash'] : [])
+		if (!Array.isArray(correspondence) || correspondence.some(field => typeof field !== 'string')) {
+			throw new Error(`Invalid parser option "${correspondenceKey}", expected an array of field names`)
+		}
+		if (correspondence.length !== groups) {
+			throw new Error(`Parser option "${key}" has ${groups} capture groups, but "${correspondenceKey}" has ${correspondence.length} fields (${correspondence.join(', ')})`)
+		}
+	}
+	if (parserOptions.headerPattern && !parserOptions.headerCorrespondence.includes('type')) {
+		throw new Error('Parser option "headerCorrespondence" must include the "type" field')
+	}
+
+	for (const key of parserKeywordKeys) {
+		if (parserOptions[key] === undefined) continue
+		if (!Array.isArray(parserOptions[key])) {
+			throw new Error(`Invalid parser option "${key}", expected an array of strings`)
+		}
+		parserOptions[key] = parserOptions[key].map(keyword => {
+			try {
+				return parseRegExpLiteral(keyword) ?? keyword
+			} catch (error) {
+				throw new Error(`Invalid parser option "${key}": ${error.message}`)
+			}
+		})
+	}
+
+	return parserOptions
+}
 
 const validTypes = ['feat', 'fix', 'chore', 'perf', 'style', 'refactor', 'ci', 'build', 'test', 'docs']
 const validTypesNoFeat = validTypes.filter(t => t !== 'feat')
@@ -59,55 +245,283 @@ const escapeHTML = str => str
 	.replace(/"/g, '&quot;')
 	.replace(/'/g, '&#39;')
 
+const escapeAsciiDoc = str => str.replace(/[*_`#^~+[\]{}]/g, char => `&#${char.charCodeAt(0)};`)
+
 function getBooleanInput(input) {
 	return !['', 'undefined', 'null', 'false', '0', 'no', 'off'].includes(String(input).toLowerCase().trim())
 }
 
+/**
+ * @typedef {Object} TagOptions
+ * @property {string|RegExp|null} [tagPattern=null] - A pattern matching the release tags, whose `version` named group (or first capture group) is the version, e.g. `^release-(\\d{4}\\.\\d+)$`. Takes precedence over `tagPrefix`.
+ * @property {string} [tagPrefix=''] - Only use tags starting with this prefix followed by a valid semver version.
+ * @property {'semver' | 'calver' | 'date'} [tagSort='semver'] - How to sort the tags: by semver precedence, by the numeric parts of calendar versions, or by the tag date.
+ */
+
+/**
+ * Extracts the version from a tag name.
+ *
+ * A string `tagPattern` is either the source of the regex, or a `/source/flags` literal.
+ *
+ * @param {string} tag - The tag name.
+ * @param {TagOptions} [options={}] - The tag options.
+ * @returns {string|null} The version, or null if the tag is not a release tag.
+ * @throws {Error} If the `tagPattern` is an invalid regex.
+ */
+function getTagVersion(tag, options = {}) {
+	options = { ...{ tagPattern: null, tagPrefix: '' }, ...options }
+
+	if (options.tagPattern) {
+		let pattern = options.tagPattern
+		if (typeof pattern === 'string') {
+			try {
+				pattern = parseRegExpLiteral(pattern) ?? new RegExp(pattern)
+			} catch (error) {
+				throw new Error(`Invalid option "tagPattern": ${error.message}`)
+			}
+		}
+		const match = tag.match(pattern)
+		return match ? (match.groups?.version ?? match[1] ?? match[0]) || null : null
+	}
+
+	const prefix = options.tagPrefix ?? ''
+	return tag.startsWith(prefix) && semver.valid(tag.slice(prefix.length)) ? tag.slice(prefix.length) : null
+}
+
+/**
+ * Compares two versions for sorting in ascending order.
+ *
+ * With `semver`, versions that are not valid semver are coerced (e.g. `1.2` to `1.2.0`), and versions that cannot be coerced
+ * are compared like calendar versions. With `calver`, the numeric parts are compared as numbers (e.g. `2024.10` after `2024.9`).
+ *
+ * @param {string} a - The first version.
+ * @param {string} b - The second version.
+ * @param {'semver' | 'calver'} [sort='semver'] - How to compare the versions.
+ * @returns {number} A negative number if `a` comes first, a positive number if `b` comes first, or 0 if they are equal.
+ * @throws {Error} If the sort is not supported.
+ */
+function compareVersions(a, b, sort = 'semver') {
+	if (!['semver', 'calver'].includes(sort)) {
+		throw new Error(`Unsupported version sort "${sort}"`)
+	}
+
+	if (sort === 'semver') {
+		const parse = version => semver.valid(version) ?? semver.coerce(version, { includePrerelease: true })?.version
+		const [semverA, semverB] = [parse(a), parse(b)]
+		if (semverA && semverB) {
+			return semver.compare(semverA, semverB)
+		}
+	}
+
+	const partsA = String(a).split(/[^0-9a-z]+/i).filter(Boolean)
+	const partsB = String(b).split(/[^0-9a-z]+/i).filter(Boolean)
+
+	for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+		if (partsA[i] === undefined || partsB[i] === undefined) {
+			return partsA[i] === undefined ? -1 : 1
+		}
+		const diff = /^\d+$/.test(partsA[i]) && /^\d+$/.test(partsB[i]) ? Number(partsA[i]) - Number(partsB[i]) : partsA[i].localeCompare(partsB[i])
+		if (diff) {
+			return Math.sign(diff)
+		}
+	}
+
+	return 0
+}
+
 /**
  * Finds the previous version in a list of versions based on the specified type.
  *
+ * With a `tagPattern` or `tagPrefix`, the versions are tag names, and the matching tag name is returned. The versions are
+ * ordered with `compareVersions` by the `tagSort` option, where `date` compares them like calendar versions.
+ *
  * @param {string[]} versions - An array of version strings.
  * @param {string} versionToFind - The version to find the previous version for.
  * @param {'MAJOR' | 'MINOR' | 'PATCH'} [type='PATCH'] - The type of version increment to consider.
+ * @param {TagOptions} [options={}] - The tag options, to extract the versions from tag names.
  * @returns {string|null} The previous version, or null if not found.
  * @throws {Error} If input parameters are invalid or the version string is invalid.
  */
-function findPreviousVersion(versions, versionToFind, type = 'PATCH') {
+function findPreviousVersion(versions, versionToFind, type = 'PATCH', options = {}) {
 	type = type.toUpperCase()
 	if (!Array.isArray(versions) || typeof versionToFind !== 'string' || !['MAJOR', 'MINOR', 'PATCH'].includes(type)) {
 		throw new Error('Invalid input parameters')
 	}
 
-	const coercedVersion = semver.coerce(versionToFind, { includePrerelease: true })
+	const isTag = !!(options.tagPattern || options.tagPrefix)
+	const sort = options.tagSort === 'date' ? 'calver' : (options.tagSort ?? 'semver')
+	const getVersion = version => isTag ? getTagVersion(version, options) : version
+	const toVersion = version => semver.coerce(getVersion(version), { includePrerelease: true })
+
+	const coercedVersion = toVersion(versionToFind)
 	if (!coercedVersion) {
 		throw new Error('Invalid version string')
 	}
 
-	const sortedVersions = versions.map(v => semver.coerce(v, { includePrerelease: true }).version).filter(Boolean).sort(semver.compare)
+	const tags = {}
+	const sortedVersions = versions.filter(v => toVersion(v)).sort((a, b) => compareVersions(getVersion(a), getVersion(b), sort)).map(v => {
+		const version = toVersion(v).version
+		tags[version] ??= v
+		return version
+	})
 
 	const prefixV = versionToFind.startsWith('v')
+	const format = match => match && isTag ? tags[match] : (prefixV && match ? `v${match}` : match)
 
 	switch (type) {
 		case 'MAJOR': {
 			const range = `${coercedVersion.major}.0.0`
 			const match = sortedVersions.find(v => semver.gte(v, range)) || null
-			return prefixV && match ? `v${match}` : match
+			return format(match)
 		}
 		case 'MINOR': {
 			const range = `${coercedVersion.major}.${coercedVersion.minor}.0`
 			const match = sortedVersions.find(v => semver.gte(v, range)) || null
-			return prefixV && match ? `v${match}` : match
+			return format(match)
 		}
 		case 'PATCH': {
 			const index = sortedVersions.findIndex(v => semver.eq(v, coercedVersion))
 			const match = index ? sortedVersions[index - 1] : null
-			return prefixV && match ? `v${match}` : match
+			return format(match)
 		}
 	}
 
 	return null
 }
 
+const verbs = ['add', 'correct', 'create', 'improve', 'include', 'update'].join('|')
+const suffix = ['s', 'ed', 'ing'].join('|')
+const e_suffix = ['e', 'es', 'ed', 'ing'].join('|')
+const y_suffix = ['y', 'ies', 'ied', 'ying'].join('|')
+
+/**
+ * @typedef {Object} MessageRule
+ * @property {string} name - The name of the rule, used to override or position rules, and reported by `explainMessageType`.
+ * @property {string|MessageTypeResult} type - The type of the matching messages, e.g. `'fix'`, `'feat_add'` or `{ type: 'feat', subType: 'add' }`.
+ * @property {Array<string|RegExp|function(string): boolean>} patterns - The patterns to test, in order. Strings match whole words
+ *   anywhere in the lowercased message, or at its start when they begin with `^`. Regexes, and strings written as `/source/flags`
+ *   literals, are tested against the message as is.
+ * @property {string} [before] - For custom rules, the name of the rule to insert this rule before.
+ * @property {string} [after] - For custom rules, the name of the rule to insert this rule after.
+ */
+
+/**
+ * The ordered rules used by `getMessageType` to guess the type of messages without a conventional header. The first matching
+ * rule wins, so e.g. `add tests` is a `test` because the `test` rule comes before the `feat-add` rule.
+ *
+ * @type {MessageRule[]}
+ */
+const defaultMessageRules = [
+	{ name: 'merge', type: 'merge', patterns: ['^merge'] },
+	{ name: 'docs', type: 'docs', patterns: ['documentation', `(${verbs}).*docs?`, 'read ?me', 'docblocks?', `(${verbs}).*comments?`, 'license', 'change.?log'] },
+	{ name: 'ci', type: 'ci', patterns: ['jenkins', 'travis', 'teamcity'] },
+	{ name: 'fix', type: 'fix', patterns: ['bug fix', `^revert(${suffix})?`, '^typo', '^prevent'] },
+	{ name: 'chore', type: 'chore', patterns: ['version bumps?', `^bump(${suffix})?`, `^ignor(${e_suffix})?`, `^cleanup(${suffix})?`, `^renam(${e_suffix})?`, `^upgrad(${e_suffix})?`, '^init.*commit', '^init'] },
+	{ name: 'perf', type: 'perf', patterns: [`^cach(${e_suffix})?`, '^optimize'] },
+	{ name: 'test', type: 'test', patterns: [`^test(${suffix})?`, 'test cases?', `(fix|${verbs}|run|remove).*tests?`, 'unit tests?', 'tests? pass(ed)?', 'php.?unit', 'behat', 'pest', 'jest', 'mocha', 'jasmine', 'karma', 'vitest'] },
+	{ name: 'style', type: 'style', patterns: ['prettier', 'eslint', 'jshint', 'jslint', 'tslint', 'beautifier', 'stylelint', 'linting', '^lint'] },
+	{
+		name: 'build', type: 'build', patterns: [
+			message => !!semver.valid(message), '^semver', `^build(${suffix})?`, 'dist.*(build|folder|dir|directory|files?)', 'build.*(status|steps?)', '(update).*build',
+			'distributions?', `(${verbs}).*dist`, 'peers?', 'peer.?dependency', 'package.?(lock|json)', 'composer.?(lock|json)', 'lock.?file', '^version', 'bower',
+			'brotli', 'browserify', 'esbuild', 'grunt', 'gulp', 'maven', 'node( |.)?js', 'node versions?', 'npm', 'pnpm', 'parcel', 'rollup', 'snowpack', 'tsup',
+			'vite', 'webpack', 'yarn',
+		],
+	},
+	{ name: 'refactor', type: 'refactor', patterns: [`^convert(${suffix})?`, `^improv(${e_suffix})?`, `^mov(${e_suffix})?`, `^refactor(${suffix})?`, `^replac(${e_suffix})?`, `^simplif(${y_suffix})?`, `^switch(${suffix})?`, '^tidy'] },
+	{ name: 'fix-2', type: 'fix', patterns: ['^fix', `fix(${e_suffix})`, `^correct(${suffix}|ion|ions)?`, 'console.?log'] },
+	{ name: 'chore-2', type: 'chore', patterns: [`^updat(${e_suffix})?`] },
+	{ name: 'feat-add', type: 'feat_add', patterns: [`^add(${suffix})?`, `^allow(${suffix})?`, `^creat(${e_suffix})?`, `^enabl(${e_suffix})?`, `^implement(${suffix})?`, `^includ(${e_suffix})?`, `^incorporat(${e_suffix})?`, `^install(${suffix})?`, `^introduc(${e_suffix})?`, `^support(${suffix})?`] },
+	{ name: 'feat-change', type: 'feat_change', patterns: [`^adjust(${suffix})?`, `^append(${suffix})?`, `^chang(${e_suffix})?`, `^extend(${suffix})?`, `^hid(${e_suffix})?`, `^mak(${e_suffix})?`, `^modif(${y_suffix})?`, `^tweak(${suffix})?`] },
+	{ name: 'feat-remove', type: 'feat_remove', patterns: [`^delet(${e_suffix})?`, `^deprecat(${e_suffix})?`, `^disabl(${e_suffix})?`, `^remov(${e_suffix})?`, `^uninstall(${suffix})?`] },
+	{ name: 'build-2', type: 'build', patterns: ['build'] },
+	{ name: 'chore-3', type: 'chore', patterns: ['versions?', 'upgrade'] },
+	{ name: 'test-2', type: 'test', patterns: ['tests?'] },
+	{ name: 'fix-3', type: 'fix', patterns: ['fix'] },
+	{ name: 'refactor-2', type: 'refactor', patterns: ['clean'] },
+]
+
+/**
+ * Converts a type value, e.g. `'fix'`, `'feat_add'` or `{ type: 'feat', subType: 'add' }`, to a `MessageTypeResult`.
+ *
+ * @param {string|MessageTypeResult} value - The type value.
+ * @returns {MessageTypeResult} The type and subtype.
+ */
+function toMessageType(value) {
+	if (typeof value !== 'string') {
+		return { ...value }
+	}
+
+	const [type, subType] = value.split('_')
+
+	return subType ? { type, subType } : { type }
+}
+
+/**
+ * Merges custom rules into the default rules of `getMessageType`.
+ *
+ * A custom rule with the name of a default rule replaces it in place (set its `patterns` to `[]` to disable it). Other custom rules
+ * are inserted `before` or `after` the named rule, or before all the default rules if neither is set, so they take precedence.
+ *
+ * @param {MessageRule[]} [rules=[]] - The custom rules.
+ * @param {MessageRule[]} [defaults=defaultMessageRules] - The rules to merge into.
+ * @returns {MessageRule[]} The merged rules, in order.
+ * @throws {Error} If a rule is missing its name, type or patterns, has an invalid regex literal, or is positioned relative to a rule that does not exist.
+ */
+function createMessageRules(rules = [], defaults = defaultMessageRules) {
+	let merged = [...defaults]
+	let prepended = 0
+
+	for (let rule of rules ?? []) {
+		if (!rule?.name || !rule.type || !Array.isArray(rule.patterns)) {
+			throw new Error(`Invalid message rule "${rule?.name ?? ''}", expected a name, a type and an array of patterns`)
+		}
+		rule = { ...rule, patterns: rule.patterns.map(pattern => {
+			try {
+				return parseRegExpLiteral(pattern) ?? pattern
+			} catch (error) {
+				throw new Error(`Invalid pattern "${pattern}" in message rule "${rule.name}": ${error.message}`)
+			}
+		}) }
+		const index = merged.findIndex(existing => existing.name === rule.name)
+		if (index !== -1) {
+			merged[index] = rule
+			continue
+		}
+		const anchor = rule.before ?? rule.after
+		if (!anchor) {
+			merged.splice(prepended++, 0, rule)
+			continue
+		}
+		const position = merged.findIndex(existing => existing.name === anchor)
+		if (position === -1) {
+			throw new Error(`Unknown message rule "${anchor}" in rule "${rule.name}"`)
+		}
+		merged.splice(rule.before ? position : position + 1, 0, rule)
+		position < prepended && prepended++
+	}
+
+	return merged
+}
+
+/**
+ * Tests a pattern of a `MessageRule` against a message.
+ *
+ * @param {string|RegExp|function(string): boolean} pattern - The pattern.
+ * @param {string} message - The message.
+ * @returns {boolean} Whether the pattern matches.
+ */
+function testPattern(pattern, message) {
+	if (pattern instanceof RegExp) {
+		return pattern.test(message)
+	}
+	if (typeof pattern === 'function') {
+		return !!pattern(message)
+	}
+
+	return pattern.startsWith('^') ? startsWith(pattern.slice(1), message) : contains(pattern, message)
+}
+
 function contains(expr, str) {
 	return (new RegExp(`\\b${expr}\\b`)).test(str.toLowerCase())
 }
@@ -123,221 +537,157 @@ function startsWith(expr, str) {
  */
 
 /**
- * Determines the `type` of a commit message based on its content.
+ * @typedef {Object} MessageTypeOptions
+ * @property {MessageTypeResult|false} [defaultType=false] - The default type to return if no match is found.
+ * @property {MessageTypeResult|false} [forceType=false] - Force a specific type, bypassing the analysis. For `feat`, only the subtype is determined.
+ * @property {MessageRule[]} [messageRules=[]] - Custom rules, merged into the default rules with `createMessageRules`.
+ * @property {MessageRule[]|null} [rules=null] - Rules already merged by `createMessageRules`, used as is instead of `messageRules`.
+ */
+
+/**
+ * @typedef {MessageTypeResult} MessageTypeExplanation
+ * @property {string|null} rule - The name of the matching rule, or null if no rule matched.
+ * @property {string|null} pattern - The matching pattern, or null if no rule matched or the pattern is a function.
+ */
+
+/**
+ * Determines the `type` of a commit message, and explains which rule and pattern it was determined by.
+ *
+ * @param {string} message - The commit message to analyze.
+ * @param {MessageTypeOptions} [options={}] - Options for determining the message type.
+ * @returns {MessageTypeExplanation} The determined type and subtype (if applicable), and the matching rule and pattern.
+ * @throws {Error} If the custom rules are invalid.
+ */
+function explainMessageType(message, options = {}) {
+	options = { ...{ defaultType: false, forceType: false, messageRules: [], rules: null }, ...options }
+	const { defaultType, forceType } = options
+
+	let rules = options.rules ?? (options.messageRules?.length ? createMessageRules(options.messageRules) : defaultMessageRules)
+	if (forceType === 'feat') {
+		rules = rules.filter(rule => toMessageType(rule.type).type === 'feat')
+	}
+
+	for (const rule of rules) {
+		const pattern = rule.patterns.find(pattern => testPattern(pattern, message))
+		if (pattern !== undefined) {
+			return { ...toMessageType(rule.type), rule: rule.name, pattern: typeof pattern === 'function' ? null : String(pattern) }
+		}
+	}
+
+	const type = forceType === 'feat' ? { type: 'feat', subType: 'change' } : (defaultType || { type: 'other' })
+
+	return { ...type, rule: null, pattern: null }
+}
+
+/**
+ * Determines the `type` of a commit message based on its content, using the first matching rule of `defaultMessageRules`
+ * and the custom `messageRules`.
  *
  * @param {string} message - The commit message to analyze.
- * @param {Object} [options={}] - Options for determining the message type.
- * @param {MessageTypeResult|false} [options.defaultType=false] - The default type to return if no match is found.
- * @param {MessageTypeResult|false} [options.forceType=false] - Force a specific type, bypassing the analysis.
+ * @param {MessageTypeOptions} [options={}] - Options for determining the message type.
  * @returns {MessageTypeResult} An object containing the determined type and subtype (if applicable).
+ * @throws {Error} If the custom rules are invalid.
  */
 function getMessageType(message, options = {}) {
-	options = { ...{ defaultType: false, forceType: false }, ...options }
-	const { defaultType, forceType } = options
+	const { rule, pattern, ...type } = explainMessageType(message, options)
+
+	return type
+}
+
+/**
+ * @typedef {Object} LabelTypeResult
+ * @property {MessageTypeResult|null} type - The type mapped from the labels, or null if none of them are mapped to a type.
+ * @property {boolean} skip - Whether one of the labels drops the commit from the changelog.
+ * @property {boolean} breaking - Whether one of the labels marks the commit as a breaking change.
+ */
 
-	const c = expr => contains(expr, message)
-	const s = expr => startsWith(expr, message)
-	const sc = (expr1 = null, expr2 = null) => (expr1 ? s(expr1) : false) || (expr2 ? c(expr2) : false)
+/**
+ * Determines the `type` of a commit from its pull request labels, using a mapping of label names to types.
+ *
+ * Mapped values are either a type (e.g. `'fix'`), a type and subtype (e.g. `'feat_add'` or `{ type: 'feat', subType: 'add' }`),
+ * `'breaking'` to mark the commit as a breaking change, or `false` to drop the commit. Label names are matched case-insensitively,
+ * and when several labels are mapped to a type, the first one in the mapping wins.
+ *
+ * @param {string[]} labels - The names of the labels.
+ * @param {Object.<string, string|MessageTypeResult|false>} [mapping={}] - The mapping of label names to types.
+ * @returns {LabelTypeResult} The type mapped from the labels, and whether to skip the commit or mark it as breaking.
+ */
+function getLabelType(labels, mapping = {}) {
+	const names = (labels ?? []).map(label => label.toLowerCase())
+	const matches = Object.entries(mapping ?? {}).filter(([label]) => names.includes(label.toLowerCase())).map(([, value]) => value)
 
-	const verbs = ['add', 'correct', 'create', 'improve', 'include', 'update'].join('|')
-	const suffix = ['s', 'ed', 'ing'].join('|')
-	const e_suffix = ['e', 'es', 'ed', 'ing'].join('|')
-	const y_suffix = ['y', 'ies', 'ied', 'ying'].join('|')
+	const value = matches.find(value => value && value !== 'breaking')
 
-	if (forceType === 'feat') {
-		switch (true) {
-			// Feat (Add)
-			case s(`add(${suffix})?`):
-			case s(`allow(${suffix})?`):
-			case s(`creat(${e_suffix})?`):
-			case s(`enabl(${e_suffix})?`):
-			case s(`implement(${suffix})?`):
-			case s(`includ(${e_suffix})?`):
-			case s(`incorporat(${e_suffix})?`):
-			case s(`install(${suffix})?`):
-			case s(`introduc(${e_suffix})?`):
-			case s(`support(${suffix})?`):
-				return { type: 'feat', subType: 'add' }
-			// Feat (Remove)
-			case s(`delet(${e_suffix})?`):
-			case s(`deprecat(${e_suffix})?`):
-			case s(`disabl(${e_suffix})?`):
-			case s(`remov(${e_suffix})?`):
-			case s(`uninstall(${suffix})?`):
-				return { type: 'feat', subType: 'remove' }
-		}
-
-		return { type: 'feat', subType: 'change' }
-	}
-
-	switch (true) {
-		// Merge
-		case s(`merge`):
-			return { type: 'merge' }
-		// Docs
-		case c(`documentation`):
-		case c(`(${verbs}).*docs?`):
-		case c(`read ?me`):
-		case c(`docblocks?`):
-		case c(`(${verbs}).*comments?`):
-		case c(`license`):
-		case c(`change.?log`):
-			return { type: 'docs' }
-		// CI
-		case c(`jenkins`):
-		case c(`travis`):
-		case c(`teamcity`):
-			return { type: 'ci' }
-		// Fix
-		case c(`bug fix`):
-		case s(`revert(${suffix})?`):
-		case s(`typo`):
-		case s(`prevent`):
-			return { type: 'fix' }
-		// Chore
-		case c(`version bumps?`):
-		case s(`bump(${suffix})?`):
-		case s(`ignor(${e_suffix})?`):
-		case s(`cleanup(${suffix})?`):
-		case s(`renam(${e_suffix})?`):
-		case s(`upgrad(${e_suffix})?`):
-		case s(`init.*commit`):
-		case s(`init`):
-			return { type: 'chore' }
-		// Perf
-		case s(`cach(${e_suffix})?`):
-		case s(`optimize`):
-			return { type: 'perf' }
-		// Test
-		case sc(`test(${suffix})?`, `test cases?`):
-		case c(`(fix|${verbs}|run|remove).*tests?`):
-		case c(`unit tests?`):
-		case c(`tests? pass(ed)?`):
-		case c(`php.?unit`):
-		case c(`behat`):
-		case c(`pest`):
-		case c(`jest`):
-		case c(`mocha`):
-		case c(`jasmine`):
-		case c(`karma`):
-		case c(`vitest`):
-			return { type: 'test' }
-		// Style
-		case c(`prettier`):
-		case c(`eslint`):
-		case c(`jshint`):
-		case c(`jslint`):
-		case c(`tslint`):
-		case c(`beautifier`):
-		case c(`stylelint`):
-		case c(`linting`):
-		case s(`lint`):
-			return { type: 'style' }
-		// Build
-		case !!semver.valid(message):
-		case s(`semver`):
-		case sc(`build(${suffix})?`, `dist.*(build|folder|dir|directory|files?)`):
-		case c(`build.*(status|steps?)`):
-		case c(`(update).*build`):
-		case c(`distributions?`):
-		case c(`(${verbs}).*dist`):
-		case c(`peers?`):
-		case c(`peer.?dependency`):
-		case c(`package.?(lock|json)`):
-		case c(`composer.?(lock|json)`):
-		case c(`lock.?file`):
-		case s(`version`):
-		case c(`bower`):
-		case c(`brotli`):
-		case c(`browserify`):
-		case c(`esbuild`):
-		case c(`grunt`):
-		case c(`gulp`):
-		case c(`maven`):
-		case c(`node( |.)?js`):
-		case c(`node versions?`):
-		case c(`npm`):
-		case c(`pnpm`):
-		case c(`parcel`):
-		case c(`rollup`):
-		case c(`snowpack`):
-		case c(`tsup`):
-		case c(`vite`):
-		case c(`webpack`):
-		case c(`yarn`):
-			return { type: 'build' }
-		// Refactor
-		case s(`convert(${suffix})?`):
-		case s(`improv(${e_suffix})?`):
-		case s(`mov(${e_suffix})?`):
-		case s(`refactor(${suffix})?`):
-		case s(`replac(${e_suffix})?`):
-		case s(`simplif(${y_suffix})?`):
-		case s(`switch(${suffix})?`):
-		case s(`tidy`):
-			return { type: 'refactor' }
-		// Fix 2
-		case sc(`fix`, `fix(${e_suffix})`):
-		case s(`correct(${suffix}|ion|ions)?`):
-		case c(`console.?log`):
-			return { type: 'fix' }
-		// Chore 2
-		case s(`updat(${e_suffix})?`):
-			return { type: 'chore' }
-		// Feat (Add)
-		case s(`add(${suffix})?`):
-		case s(`allow(${suffix})?`):
-		case s(`creat(${e_suffix})?`):
-		case s(`enabl(${e_suffix})?`):
-		case s(`implement(${suffix})?`):
-		case s(`includ(${e_suffix})?`):
-		case s(`incorporat(${e_suffix})?`):
-		case s(`install(${suffix})?`):
-		case s(`introduc(${e_suffix})?`):
-		case s(`support(${suffix})?`):
-			return { type: 'feat', subType: 'add' }
-		// Feat (Change)
-		case s(`adjust(${suffix})?`):
-		case s(`append(${suffix})?`):
-		case s(`chang(${e_suffix})?`):
-		case s(`extend(${suffix})?`):
-		case s(`hid(${e_suffix})?`):
-		case s(`mak(${e_suffix})?`):
-		case s(`modif(${y_suffix})?`):
-		case s(`tweak(${suffix})?`):
-			return { type: 'feat', subType: 'change' }
-		// Feat (Remove)
-		case s(`delet(${e_suffix})?`):
-		case s(`deprecat(${e_suffix})?`):
-		case s(`disabl(${e_suffix})?`):
-		case s(`remov(${e_suffix})?`):
-		case s(`uninstall(${suffix})?`):
-			return { type: 'feat', subType: 'remove' }
-		// Build 2
-		case c(`build`):
-			return { type: 'build' }
-		// Chore 3
-		case c(`versions?`):
-		case c(`upgrade`):
-			return { type: 'chore' }
-		// Test 2
-		case c(`tests?`):
-			return { type: 'test' }
-		// Fix 3
-		case c(`fix`):
-			return { type: 'fix' }
-		// Refactor 2
-		case c(`clean`):
-			return { type: 'refactor' }
-	}
-
-	return defaultType || { type: 'other' }
+	return {
+		type: value ? toMessageType(value) : null,
+		skip: matches.some(value => value === false || value === null),
+		breaking: matches.includes('breaking'),
+	}
+}
+
+/**
+ * @typedef {Object} ExcludeOptions
+ * @property {Array<string|RegExp>} [messages=[]] - Patterns matched against the whole commit message, e.g. `\\[skip ci\\]`.
+ * @property {Array<string|RegExp>} [authors=[]] - Patterns matched against the login, name and email of the author and committer, e.g. `\\[bot\\]$`.
+ * @property {string[]} [paths=[]] - Git pathspecs. Commits that only touch these paths are excluded. Only used by `filterRepoData`.
+ * @property {string[]} [trailers=[]] - Trailers that exclude a commit when one of its lines matches them, e.g. `Changelog: skip`.
+ */
+
+/**
+ * Converts the `messages` and `authors` patterns of the exclusion rules to regexes, e.g. to check them once before excluding commits.
+ *
+ * @param {ExcludeOptions} [exclude={}] - The exclusion rules.
+ * @returns {ExcludeOptions} The exclusion rules, with regexes as patterns.
+ * @throws {Error} If a pattern is an invalid regex.
+ */
+function createExcludeRules(exclude = {}) {
+	const { messages = [], authors = [] } = exclude ?? {}
+
+	return {
+		...exclude,
+		messages: messages.map(pattern => toExcludeRegExp(pattern, 'exclude.messages')),
+		authors: authors.map(pattern => toExcludeRegExp(pattern, 'exclude.authors')),
+	}
+}
+
+/**
+ * Determines whether a commit is excluded from the changelog by its message, author or committer, or trailers.
+ *
+ * String patterns are case-insensitive regexes, or `/source/flags` literals. Trailers are matched case-insensitively, ignoring the whitespace around the colon.
+ *
+ * @param {RawCommit} commit - The commit to check.
+ * @param {ExcludeOptions} [exclude={}] - The exclusion rules.
+ * @returns {'messages' | 'authors' | 'trailers' | null} The rule excluding the commit, or null if it is not excluded.
+ * @throws {Error} If a pattern is an invalid regex.
+ */
+function getExcludeReason(commit, exclude = {}) {
+	const { messages, authors, trailers = [] } = createExcludeRules(exclude)
+	const message = commit?.message ?? ''
+
+	if (messages.some(pattern => pattern.test(message))) {
+		return 'messages'
+	}
+	const people = [commit?.author, commit?.committer].filter(Boolean)
+	if (authors.some(pattern => people.some(person => [person.login, person.name, person.email].some(value => value && pattern.test(value))))) {
+		return 'authors'
+	}
+	const escape = text => text.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+	if (trailers.some(trailer => {
+		const [key, ...value] = trailer.split(':')
+		return new RegExp(`^\\s*${escape(key)}\\s*:\\s*${escape(value.join(':'))}\\s*$`, 'im').test(message)
+	})) {
+		return 'trailers'
+	}
+
+	return null
 }
 
 /**
  * @typedef {Object} ParseCommitMessageOptions
  * @property {MessageTypeResult|false} [defaultType=false] - The default type to use if no type is determined.
  * @property {string[]} [validTypes=[]] - An array of valid commit types.
+ * @property {MessageRule[]} [messageRules=[]] - Custom rules for the keyword analysis of non-conventional messages. See `createMessageRules`.
+ * @property {MessageRule[]|null} [rules=null] - Rules already merged by `createMessageRules`, used as is instead of `messageRules`.
  */
 
 /**
@@ -349,8 +699,8 @@ function getMessageType(message, options = {}) {
  * @returns {Commit} The parsed commit object with determined type and subtype.
  */
 function parseCommitMessage(commit, parser, options = {}) {
-	options = { ...{ defaultType: false, validTypes: [] }, ...options }
-	const { defaultType } = options
+	options = { ...{ defaultType: false, validTypes: [], messageRules: [], rules: null }, ...options }
+	const { defaultType, messageRules, rules } = options
 
 	for (const type of ['merge', 'revert']) {
 		if (commit[type]) {
@@ -361,7 +711,7 @@ function parseCommitMessage(commit, parser, options = {}) {
 
 	let { type } = commit
 
-	let data = getMessageType(commit.subject ?? commit.header, { defaultType, forceType: type })
+	let data = getMessageType(commit.subject ?? commit.header, { defaultType, forceType: type, messageRules, rules })
 
 	type ??= data.type
 	const subType = type === 'feat' ? (data.subType || 'change') : false
@@ -370,9 +720,20 @@ function parseCommitMessage(commit, parser, options = {}) {
 		return { ...commit, type, subType }
 	}
 
-	commit = parser.parse(`${type}: ${commit.orig}`)
+	// Custom header patterns may not match the reparsed message, so the original header is used as the subject
+	const reparsed = parser.parse(`${type}: ${commit.orig}`)
+
+	return { ...reparsed, subject: reparsed.subject ?? commit.header, type, subType }
+}
 
-	return { ...commit, type, subType }
+/**
+ * Extracts the co-authors from the `Co-authored-by` trailers of a commit message.
+ *
+ * @param {string} message - The commit message.
+ * @returns {Person[]} An array of co-authors.
+ */
+function getCoAuthors(message) {
+	return [...(message ?? '').matchAll(/^co-authored-by:\s*(.*?)\s*<([^>]*)>\s*$/gim)].map(([, name, email]) => ({ name: name || null, email: email || null, login: null }))
 }
 
 /**
@@ -389,27 +750,42 @@ function createSortGroupKeys(types = null) {
 /**
  * @typedef {Object} GetCommitsOptions
  * @property {MessageTypeResult|false} [defaultType=false] - The default type to use if no type is determined.
+ * @property {Object.<string, string|MessageTypeResult|false>} [labels={}] - A mapping of pull request label names to types, which take precedence over the keyword analysis of non-conventional messages. See `getLabelType`.
  * @property {string[]} [validTypes] - An array of valid commit types.
+ * @property {MessageRule[]} [messageRules=[]] - Custom rules for the keyword analysis of non-conventional messages. See `createMessageRules`.
+ * @property {MessageRule[]|null} [rules=null] - Rules already merged by `createMessageRules`, used as is instead of `messageRules`.
+ * @property {ExcludeOptions} [exclude={}] - Rules excluding commits by message, author or trailer. See `getExcludeReason`.
  */
 
 /**
  * Processes an array of commit messages and groups them by type.
  *
- * @param {string[]} messages - An array of commit messages to process.
+ * @param {Array<string|RawCommit>} messages - An array of commit messages, or raw commits, to process.
  * @param {CommitParser} parser - The parser object used to parse commit messages.
  * @param {GetCommitsOptions} [options={}] - Options for processing the commits.
- * @returns {{commits: Commit[], groups: Object.<string, Commit[]>}} An object containing the processed commits and grouped commits.
+ * @returns {{commits: Commit[], groups: Object.<string, Commit[]>, excluded: {messages: number, authors: number, trailers: number}}} An object containing the processed commits,
+ *   grouped commits, and the number of commits excluded by each rule.
+ * @throws {Error} If the custom message rules or the exclusion patterns are invalid.
  */
 function getCommits(messages, parser, options = {}) {
-	options = { ...{ defaultType: false, validTypes: validTypes }, ...options }
+	options = { ...{ defaultType: false, validTypes: validTypes, labels: {}, messageRules: [], exclude: {} }, ...options }
 	const { defaultType } = options
+	const rules = options.rules ?? (options.messageRules?.length ? createMessageRules(options.messageRules) : defaultMessageRules)
+	const exclude = createExcludeRules(options.exclude)
 
 	let commits = []
 	let groups = {}
+	let excluded = { messages: 0, authors: 0, trailers: 0 }
 
 	try {
-		for (let message of messages) {
+		for (const item of messages) {
+			const { sha = null, message = null, author = null, committer = null, coAuthors = [], date = null, pullRequest = null, shas = null } = typeof item === 'string' ? { message: item } : (item ?? {})
 			if (!message) continue
+			const reason = getExcludeReason({ message, author, committer }, exclude)
+			if (reason) {
+				excluded[reason]++
+				continue
+			}
 			let raw = message, orig = message
 			let commit = parser.parse(orig)
 			let { type } = commit
@@ -421,7 +797,23 @@ function getCommits(messages, parser, options = {}) {
 				}
 			}
 
-			commit = { ...parseCommitMessage({ ...commit, type, orig, raw }, parser, { defaultType, validTypes }), orig, raw }
+			const labelType = getLabelType(pullRequest?.labels, options.labels)
+			if (labelType.skip) continue
+
+			let typeSource = 'header'
+			if (!type) {
+				const guessed = (commit.merge || commit.revert) ? null : getMessageType(commit.subject ?? commit.header ?? '', { defaultType: false, rules }).type
+				typeSource = commit.merge || guessed === 'merge' ? 'merge' : (commit.revert ? 'revert' : (labelType.type ? 'label' : (guessed !== 'other' ? 'keyword' : 'default')))
+			}
+
+			commit = { ...parseCommitMessage({ ...commit, type: type ?? labelType.type?.type, orig, raw }, parser, { defaultType, validTypes, rules }), orig, raw, hash: sha ?? commit.hash ?? null, author, committer, coAuthors: [...coAuthors, ...getCoAuthors(raw)], date, pullRequest, shas: shas ?? (sha ? [sha] : []), conventional: typeSource === 'header', typeSource }
+
+			if (!type && labelType.type?.type === 'feat' && labelType.type.subType) {
+				commit.subType = labelType.type.subType
+			}
+			if (labelType.breaking && !commit.notes?.some(note => /^BREAKING[ -]CHANGE$/.test(note.title))) {
+				commit.notes = [...(commit.notes ?? []), { title: 'BREAKING CHANGE', text: commit.subject ?? commit.header }]
+			}
 
 			commits.push(commit)
 
@@ -439,7 +831,7 @@ function getCommits(messages, parser, options = {}) {
 		console.log(e)
 	}
 
-	return { commits, groups }
+	return { commits, groups, excluded }
 }
 
 /**
@@ -455,7 +847,7 @@ function getNotices(commit, label, check = null, breakingLabel = 'BREAKING CHANG
 	check ??= label
 
 	const notices = commit?.notes?.filter(note => {
-		if (check.startsWith('/') && check.endsWith('/')) {
+		if (typeof check === 'string' && check.startsWith('/') && check.endsWith('/')) {
 			check = new RegExp(check)
 		}
 		return check instanceof RegExp ? check.test(note.title) : note.title === check
@@ -469,115 +861,1036 @@ function getNotices(commit, label, check = null, breakingLabel = 'BREAKING CHANG
 }
 
 /**
- * @typedef {Object} BuildChangelogNoticeOptions
- * @property {Object.<string, string|RegExp>} [keys={ 'BREAKING CHANGES': /^BREAKING[ -]CHANGE$/ }] - Mapping of notice labels to their corresponding checks.
- * @property {boolean} [all=false] - Whether to include notices from all commit types.
- * @property {boolean} [inFooter=true] - Whether to place notices in the footer of each release section.
+ * @typedef {Object} LintProblem
+ * @property {string|null} hash - The hash of the commit.
+ * @property {string} header - The first line of the commit message.
+ * @property {string} reason - Why the commit failed the conventional parse, e.g. `Unknown type "feature"`.
+ * @property {'keyword' | 'default'} typeSource - Whether the type was guessed by the keyword analysis, or fell back to the default type.
+ * @property {string} type - The type the commit ended up with, including the subtype (e.g. `feat_add`).
  */
 
 /**
- * @typedef {Object} BuildChangelogOptions
- * @property {boolean} [coerce=true] - Whether to coerce version numbers.
- * @property {boolean} [onlyFirst=false] - Whether to only return the first release
- * @property {boolean} [onlyBody=false] - Whether to include only the body of the changelog.
- * @property {Object.<string, string>} [types={ feat_add: 'Added', feat_change: 'Changed', feat_remove: 'Removed', fix: 'Fixed' }] - Mapping of commit types to changelog sections.
- * @property {BuildChangelogNoticeOptions} [notice={}] - Options for handling notices in the changelog.
+ * @typedef {Object} LintReport
+ * @property {boolean} valid - Whether all the commits passed.
+ * @property {number} total - The number of commits.
+ * @property {{conventional: number, merge: number, revert: number, label: number, keyword: number, default: number}} counts - The number of commits per type source.
+ * @property {LintProblem[]} problems - The commits whose type was guessed or fell back to the default type.
  */
 
 /**
- * Builds a changelog from the provided releases data.
+ * Reports the commits that failed the conventional parse, and which type they ended up with.
  *
- * @param {Object.<string, Release>} releases - An object containing release data.
- * @param {BuildChangelogOptions} [options={}] - Options for building the changelog.
- * @returns {string[]} An array of strings representing the lines of the changelog.
+ * Commits typed by their conventional header, merge or revert detection, or a pull request label pass. Commits typed
+ * by the keyword analysis or the default type are reported as problems.
+ *
+ * @param {Commit[]} commits - The commits to lint, as returned by `getCommits`.
+ * @returns {LintReport} The lint report.
  */
-function buildChangelog(releases, options = {}) {
-	options ??= {}
-	options.coerce ??= true
-	options.onlyFirst ??= false
-	options.onlyBody ??= false
-	options.types ??= { feat_add: 'Added', feat_change: 'Changed', feat_remove: 'Removed', fix: 'Fixed' }
-	options.notice ??= {}
-	options.notice.keys ??= { 'BREAKING CHANGES': /^BREAKING[ -]CHANGE$/ }
-	options.notice.all ??= false
-	options.notice.inFooter ??= true
-
-	let lines = []
-
-	!options.onlyBody && lines.push('# Changelog', '')
-
-	for (const [version, release] of Object.entries(releases)) {
-		if (Object.keys(release.commits).length) {
-			!options.onlyBody && lines.push('', `## ${options.coerce ? semver.coerce(version, { includePrerelease: true }) : version}${release?.date ? ` (${release.date})` : ''}`, '')
-
-			let notices = {}
-			let notice = []
+function lintCommits(commits) {
+	let counts = { conventional: 0, merge: 0, revert: 0, label: 0, keyword: 0, default: 0 }
+	let problems = []
+
+	for (const commit of commits) {
+		const source = commit.typeSource ?? (commit.conventional ? 'header' : 'keyword')
+		counts[source === 'header' ? 'conventional' : source]++
+		if (!['keyword', 'default'].includes(source)) continue
+
+		const header = (commit.raw ?? commit.header ?? '').split('\n')[0]
+		const unknownType = header.match(/^(\w+)(?:\([^)]*\))?!?:\s/)?.[1]
+		problems.push({
+			hash: commit.hash ?? null,
+			header,
+			reason: unknownType ? `Unknown type "${unknownType}"` : 'Not a conventional commit',
+			typeSource: source,
+			type: commit.subType ? `${commit.type}_${commit.subType}` : commit.type,
+		})
+	}
 
-			if (Object.keys(options.notice.keys).length) {
-				for (const [type, items] of Object.entries(release.commits)) {
-					if (options.notice.all || Object.keys(options.types).includes(type)) {
-						for (const commit of release.commits[type]) {
-							for (const [label, check] of Object.entries(options.notice.keys)) {
-								let commitNotices = getNotices(commit, label, check)
-								if (commitNotices.length) {
-									notices[label] ??= []
-									notices[label] = [...notices[label], ...commitNotices]
-								}
-							}
-						}
-					}
-				}
+	return { valid: !problems.length, total: commits.length, counts, problems }
+}
 
-				if (Object.keys(notices).length) {
-					for (const [label, items] of Object.entries(notices)) {
-						notice.push(`### ${label}`, '')
-						for (const item of items) {
-							notice.push(`- ${item}`)
-						}
-						notice.push('')
-					}
+/**
+ * Formats a lint report as Markdown or JSON.
+ *
+ * @param {LintReport} report - The lint report.
+ * @param {'markdown' | 'json'} [format='markdown'] - The format of the report.
+ * @returns {string} The formatted report.
+ * @throws {Error} If the format is not supported.
+ */
+function formatLintReport(report, format = 'markdown') {
+	switch (format) {
+		case 'json':
+			return JSON.stringify(report, null, 2)
+		case 'markdown': {
+			const cell = text => String(text).replace(/\|/g, '\\|')
+			let lines = ['# Commit Lint Report', '']
+			lines.push(`${report.total - report.problems.length} of ${report.total} commits passed.`)
+			if (report.problems.length) {
+				lines.push('', '| Commit | Message | Problem | Typed as |', '|--------|---------|---------|----------|')
+				for (const problem of report.problems) {
+					const typedAs = problem.typeSource === 'default' ? `\`${problem.type}\` (default)` : `\`${problem.type}\` (guessed)`
+					lines.push(`| ${problem.hash ? `\`${problem.hash.slice(0, 7)}\`` : ''} | ${cell(problem.header)} | ${problem.reason} | ${typedAs} |`)
 				}
 			}
+			return lines.join('\n') + '\n'
+		}
+	}
 
-			if (release?.header) {
-				lines.push(release.header, '')
+	throw new Error(`Unsupported report format "${format}"`)
+}
+
+/**
+ * @typedef {Object} GetNextVersionOptions
+ * @property {boolean} [preMajor=true] - Whether to apply the pre-1.0 rules (breaking changes bump the minor version, features bump the patch version) while the major version is 0.
+ * @property {string|false} [prerelease=false] - The prerelease identifier to use for the next version (e.g. 'beta'), or false for a stable version.
+ * @property {string|RegExp} [breaking=/^BREAKING[ -]CHANGE$/] - The check used to identify breaking change notes.
+ */
+
+/**
+ * @typedef {Object} NextVersionResult
+ * @property {string|null} current - The current version, or null if there is none.
+ * @property {string} version - The recommended next version, or the current version if no bump is needed.
+ * @property {'major' | 'minor' | 'patch' | null} type - The type of version bump, or null if no bump is needed.
+ */
+
+/**
+ * Recommends the next semantic version based on the commits made since the current version.
+ *
+ * @param {Object.<string, Commit[]>} commits - An object containing the pending commits grouped by type.
+ * @param {string|null} version - The current version (e.g. the `headTag`), or null if there are no releases yet.
+ * @param {GetNextVersionOptions} [options={}] - Options for determining the next version.
+ * @returns {NextVersionResult} The recommended next version and type of bump.
+ * @throws {Error} If the current version string is invalid.
+ */
+function getNextVersion(commits, version, options = {}) {
+	options = { ...{ preMajor: true, prerelease: false, breaking: /^BREAKING[ -]CHANGE$/ }, ...options }
+
+	const current = version ? semver.parse(semver.valid(version) ?? semver.coerce(version, { includePrerelease: true })) : semver.parse('0.0.0')
+	if (!current) {
+		throw new Error(`Invalid version string "${version}"`)
+	}
+
+	const prefixV = !!version?.startsWith('v')
+	const all = Object.values(commits ?? {}).flat()
+
+	let type = null
+	if (all.some(commit => getNotices(commit, 'BREAKING CHANGE', options.breaking).length)) {
+		type = 'major'
+	} else if (Object.keys(commits ?? {}).some(key => key === 'feat' || key.startsWith('feat_'))) {
+		type = 'minor'
+	} else if (all.length) {
+		type = 'patch'
+	}
+
+	if (!type) {
+		return { current: version ?? null, version: version ?? `${prefixV ? 'v' : ''}${current.version}`, type: null }
+	}
+
+	if (options.preMajor && current.major === 0) {
+		type = { major: 'minor', minor: 'patch', patch: 'patch' }[type]
+	}
+
+	let next
+	if (!options.prerelease) {
+		next = semver.inc(current, type)
+	} else if (current.prerelease.length && (type === 'patch' || (type === 'minor' && !current.patch) || (type === 'major' && !current.minor && !current.patch))) {
+		next = semver.inc(current, 'prerelease', options.prerelease)
+	} else {
+		next = semver.inc(current, `pre${type}`, options.prerelease)
+	}
+
+	return { current: version ?? null, version: `${prefixV ? 'v' : ''}${next}`, type }
+}
+
+/**
+ * @typedef {Object} SetFileVersionOptions
+ * @property {string} [file='package.json'] - The name of the file, which determines how the version is updated.
+ * @property {string|null} [current=null] - The current version, required for files other than JSON files.
+ */
+
+/**
+ * Updates the version in the content of a version file.
+ *
+ * For JSON files (e.g. `package.json`), sets the `version` property, keeping the indentation of the file. For other files,
+ * replaces the first occurrence of the current version.
+ *
+ * @param {string} content - The content of the file.
+ * @param {string} version - The new version. A `v` prefix is removed.
+ * @param {SetFileVersionOptions} [options={}] - Options for updating the version.
+ * @returns {string} The updated content.
+ * @throws {Error} If the version cannot be found in the file.
+ */
+function setFileVersion(content, version, options = {}) {
+	options = { ...{ file: 'package.json', current: null }, ...options }
+	version = version.replace(/^v/, '')
+
+	if (options.file.endsWith('.json')) {
+		const data = JSON.parse(content)
+		const indent = content.match(/^[ \t]+(?=")/m)?.[0] ?? '  '
+		data.version = version
+		data.packages?.['']?.version && (data.packages[''].version = version)
+		return JSON.stringify(data, null, indent) + (content.endsWith('\n') ? '\n' : '')
+	}
+
+	const current = options.current?.replace(/^v/, '')
+	const pattern = current ? new RegExp(`(?<![\\w.-])${current.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\w.-])`) : null
+	if (!pattern || !pattern.test(content)) {
+		throw new Error(`Could not find version "${current}" in ${options.file}`)
+	}
+
+	return content.replace(pattern, version)
+}
+
+/**
+ * @typedef {Object} BuildChangelogNoticeOptions
+ * @property {Object.<string, string|RegExp>} [keys={ 'BREAKING CHANGES': /^BREAKING[ -]CHANGE$/ }] - Mapping of notice labels to their corresponding checks.
+ * @property {boolean} [all=false] - Whether to include notices from all commit types.
+ * @property {boolean} [inFooter=true] - Whether to place notices in the footer of each release section.
+ */
+
+/**
+ * @typedef {Object} BuildChangelogOptions
+ * @property {boolean} [coerce=true] - Whether to coerce version numbers.
+ * @property {boolean} [onlyFirst=false] - Whether to only return the first release
+ * @property {boolean} [onlyBody=false] - Whether to include only the body of the changelog.
+ * @property {boolean|string} [unreleased='Unreleased'] - The heading for the release of unreleased commits. If not a string, uses 'Unreleased'.
+ * @property {Object.<string, string>} [types={ feat_add: 'Added', feat_change: 'Changed', feat_remove: 'Removed', fix: 'Fixed' }] - Mapping of commit types to changelog sections.
+ * @property {BuildChangelogNoticeOptions} [notice={}] - Options for handling notices in the changelog.
+ * @property {'markdown' | 'html' | 'asciidoc' | 'json' | Renderer} [format='markdown'] - The output format, or a custom renderer function. Format names are case-insensitive, and are normalized to lowercase by `buildChangelog`.
+ * @property {ChangelogTemplates} [templates={}] - Templates for the text of release headings, section headings, scope groups and entries.
+ * @property {string|null} [repoUrl=null] - The URL of the repository (e.g. `https://github.com/owner/repo`), used to build links.
+ * @property {boolean|{commits?: boolean, issues?: boolean, mentions?: boolean}} [links=false] - Which links to render in the entries. If true, renders all of them.
+ * @property {ChangelogUrls} [urls={}] - URL templates for the links, for hosts that do not use GitHub's URL structure.
+ * @property {false|'heading'|'references'} [compareLinks=false] - Whether to link release headings to the comparison with the previous release, either directly in the heading or with reference definitions at the bottom of the changelog.
+ * @property {boolean|ContributorsOptions} [contributors=false] - Whether to add a "Contributors" section to each release.
+ * @property {ScopeGroupsOptions} [scopeGroups={}] - How to merge, name, order and hide the scopes of the entries.
+ * @property {'type' | 'scope'} [layout='type'] - Whether the sections of each release are the types (grouped by scope), or the scopes (grouped by type).
+ */
+
+/**
+ * @typedef {Object} ScopeGroupsOptions
+ * @property {Object.<string, string|string[]>} [aliases={}] - Mapping of scopes to their aliases, e.g. `{ frontend: ['ui', 'web'] }`. Scopes and aliases are matched case-insensitively.
+ * @property {Object.<string, string>} [names={}] - Mapping of scopes to their display names, e.g. `{ frontend: 'Frontend' }`. The `''` key names the entries without a scope in the `scope` layout.
+ * @property {string[]} [order=[]] - The scopes to list first, in order. Other scopes follow alphabetically. `''` positions the entries without a scope.
+ * @property {string[]} [hidden=[]] - The scopes whose commits are left out of the changelog.
+ * @property {boolean} [ignoreCase=false] - Whether to merge the scopes that only differ in case, under their lowercase spelling.
+ */
+
+/**
+ * @typedef {Object} ContributorsOptions
+ * @property {string} [title='Contributors'] - The title of the contributors section.
+ * @property {Array<string|RegExp>} [exclude] - Patterns matched against the login, name and email of each contributor to exclude them (e.g. bots). Defaults to common bots.
+ */
+
+/**
+ * @typedef {Object} Contributor
+ * @property {string|null} name - The name of the contributor.
+ * @property {string|null} email - The email address of the contributor.
+ * @property {string|null} login - The GitHub login of the contributor, if known.
+ * @property {boolean} firstTime - Whether this is the first release the contributor contributed to.
+ */
+
+/**
+ * URL templates for the links in the changelog. Uses the same syntax as `ChangelogTemplates`.
+ *
+ * @typedef {Object} ChangelogUrls
+ * @property {string} [commit='{{repoUrl}}/commit/{{sha}}'] - The commit URL. Variables: `repoUrl`, `host`, `sha`.
+ * @property {string} [issue='{{repoUrl}}/issues/{{issue}}'] - The issue URL. Variables: `repoUrl` (of the referenced repository), `host`, `owner`, `repository`, `issue`.
+ * @property {string} [mention='{{host}}/{{user}}'] - The user profile URL. Variables: `repoUrl`, `host`, `user`.
+ * @property {string} [pullRequest='{{repoUrl}}/pull/{{number}}'] - The pull request URL. Variables: `repoUrl`, `host`, `number`.
+ * @property {string} [compare='{{repoUrl}}/compare/{{previous}}...{{tag}}'] - The URL comparing a release to the previous one. Variables: `repoUrl`, `host`, `previous`, `tag`.
+ * @property {string} [tag='{{repoUrl}}/tree/{{tag}}'] - The URL of a release without a previous one. Variables: `repoUrl`, `host`, `tag`.
+ */
+
+/**
+ * Templates for the text of each part of the changelog. The markup around the text (e.g. `## ` or `<li>`) is added by the renderer.
+ *
+ * Templates replace `{{name}}` with the value of a variable, render `{{#name}}...{{/name}}` only if the variable is not empty,
+ * and render `{{^name}}...{{/name}}` only if it is empty.
+ *
+ * @typedef {Object} ChangelogTemplates
+ * @property {string} [release='{{title}}{{#date}} ({{date}}){{/date}}'] - The release heading. Variables: `title`, `version`, `date`.
+ * @property {string} [section='{{title}}'] - The section heading. Variables: `title`, `type`, `scope`.
+ * @property {string} [group='{{title}}'] - The group line (the scope, or the type in the `scope` layout). If it renders empty, the entries are not nested. Variables: `title`, `scope`, `type`.
+ * @property {string} [contributor='{{name}}{{#firstTime}} (first contribution){{/firstTime}}'] - The contributor line. Variables: `name` (linked `@login` or name), `login`, `email`, `firstTime`.
+ * @property {string} [entry='{{subject}}{{#reverts}} (reverts {{reverts}}){{/reverts}}{{#pr}} ({{pr}}){{/pr}}{{#commit}} ({{commit}}){{/commit}}'] - The entry line. Variables: `subject`, `scope`, `type`, `subType`, `sha`, `shortSha`, `commit` (linked short SHA), `commitUrl`, `pr` (linked `#number`), `prNumber`, `prUrl`, `labels`, `reverts` (linked short SHA and tag of the reverted commit), `author`, `references`, `date`.
+ */
+
+/**
+ * @typedef {Object} ChangelogEntry
+ * @property {string} text - The text of the entry.
+ * @property {string} type - The commit type (e.g. `feat`).
+ * @property {string|false} subType - The commit subtype (e.g. `add`), if any.
+ * @property {string|null} scope - The commit scope, if any.
+ * @property {string|null} hash - The commit SHA, if known.
+ * @property {Person|null} author - The commit author, if known.
+ * @property {string|null} date - The commit date, if known.
+ * @property {string|null} url - The URL of the commit, if links to commits are enabled.
+ * @property {Array<{owner: string|null, repository: string|null, issue: string, prefix: string, url: string|null}>} references - The issues referenced by the commit.
+ * @property {Array<{user: string, url: string|null}>} mentions - The users mentioned by the commit.
+ * @property {{number: number, title: string, labels: string[], url: string|null}|null} pullRequest - The pull request of the commit, if resolved.
+ * @property {{hash: string|null, tag: string, url: string|null}|null} reverts - The commit reverted by the commit, if it was released earlier.
+ * @property {Commit} commit - The commit the entry was built from.
+ */
+
+/**
+ * @typedef {Object} ChangelogGroup
+ * @property {string|null} title - The title of the group (e.g. the scope), or null for ungrouped entries.
+ * @property {string|null} scope - The scope of the group's entries, or null for entries without a scope.
+ * @property {string} type - The commit group key of the group's entries (e.g. `feat_add`).
+ * @property {ChangelogEntry[]} entries - The entries in the group.
+ */
+
+/**
+ * @typedef {Object} ChangelogReleaseSection
+ * @property {string|null} type - The commit group key of the section (e.g. `feat_add`), or null in the `scope` layout.
+ * @property {string|null} [scope] - The scope of the section in the `scope` layout, or null for entries without a scope.
+ * @property {string} title - The title of the section.
+ * @property {ChangelogGroup[]} groups - The groups of entries in the section.
+ */
+
+/**
+ * @typedef {Object} ChangelogRelease
+ * @property {string} version - The version (or tag name) of the release.
+ * @property {string} tag - The tag name of the release.
+ * @property {string|null} previous - The tag name of the previous release, if any.
+ * @property {string|null} url - The URL comparing the release to the previous one, if compare links are enabled.
+ * @property {string} title - The display title of the release.
+ * @property {string} date - The date of the release, if any.
+ * @property {boolean} unreleased - Whether the release holds unreleased commits.
+ * @property {string|null} header - The header text of the release, if any.
+ * @property {string|null} footer - The footer text of the release, if any.
+ * @property {Array<{label: string, items: string[]}>} notices - The notices of the release.
+ * @property {ChangelogReleaseSection[]} sections - The sections of the release.
+ * @property {Array<Contributor & {url: string|null}>} contributors - The contributors of the release, if enabled.
+ */
+
+/**
+ * @typedef {Object} ChangelogModel
+ * @property {string} title - The title of the changelog.
+ * @property {ChangelogRelease[]} releases - The releases of the changelog.
+ */
+
+/**
+ * A function that renders a changelog model into lines of output.
+ *
+ * @callback Renderer
+ * @param {ChangelogModel} model - The format-neutral changelog model.
+ * @param {BuildChangelogOptions} options - The options used to build the changelog.
+ * @returns {string[]} An array of strings representing the lines of the changelog.
+ */
+
+/**
+ * Bot accounts excluded from the contributors by default.
+ *
+ * @type {RegExp[]}
+ */
+const defaultBots = [/\[bot\]$/i, /^(dependabot|renovate|github-actions|snyk-bot|greenkeeper)\b/i]
+
+/**
+ * Collects the unique contributors (authors and co-authors) of each release.
+ *
+ * Contributors are identified by their GitHub login when available, otherwise by their email or name.
+ * A contributor is a first-time contributor in the oldest of the provided releases they contributed to.
+ *
+ * @param {Object.<string, Release>} releases - An object containing release data, newest first.
+ * @param {ContributorsOptions} [options={}] - Options for collecting the contributors.
+ * @returns {Object.<string, Contributor[]>} An object mapping each release to its contributors, sorted by name.
+ * @throws {Error} If an `exclude` pattern is an invalid regex.
+ */
+function getContributors(releases, options = {}) {
+	options = { ...{ exclude: defaultBots }, ...options }
+
+	const exclude = options.exclude.map(pattern => toExcludeRegExp(pattern, 'contributors.exclude'))
+	const isExcluded = person => exclude.some(pattern => [person.login, person.name, person.email].some(value => value && pattern.test(value)))
+
+	const entries = Object.entries(releases).sort(([, a], [, b]) => !!b?.unreleased - !!a?.unreleased).reverse()
+	const getPeople = release => Object.values(release?.commits ?? {}).flat().flatMap(commit => [commit.author, ...(commit.coAuthors ?? [])]).filter(person => person && (person.login || person.name || person.email))
+
+	let logins = {}
+	for (const [, release] of entries) {
+		for (const person of getPeople(release)) {
+			person.login && person.email && (logins[person.email.toLowerCase()] ??= person.login)
+		}
+	}
+
+	let seen = new Set()
+	let contributors = {}
+
+	for (const [version, release] of entries) {
+		let people = {}
+		for (const person of getPeople(release)) {
+			const login = person.login ?? logins[person.email?.toLowerCase()] ?? null
+			const contributor = { name: person.name ?? null, email: person.email ?? null, login }
+			if (isExcluded(contributor)) continue
+			const key = login ? `login:${login.toLowerCase()}` : (person.email ? `email:${person.email.toLowerCase()}` : `name:${person.name.toLowerCase()}`)
+			people[key] ??= { ...contributor, firstTime: !seen.has(key) }
+		}
+		Object.keys(people).forEach(key => seen.add(key))
+		contributors[version] = Object.values(people).sort((a, b) => (a.login ?? a.name ?? '').toLowerCase().localeCompare((b.login ?? b.name ?? '').toLowerCase()))
+	}
+
+	return contributors
+}
+
+/**
+ * Creates the functions used to merge, name, order and hide scopes, from the `scopeGroups` option.
+ *
+ * @param {ScopeGroupsOptions} [options={}] - The scope groups options.
+ * @returns {{resolve: function(string|null): string, hidden: function(string): boolean, title: function(string): string|null, compare: function(string, string, boolean=): number}}
+ *   Functions resolving a scope to its canonical scope (`''` for none), checking whether a canonical scope is hidden, getting its display name, and comparing two
+ *   canonical scopes (sorting `''` first, or last if the third argument is true, unless it is in the order).
+ */
+function createScopeGroups(options = {}) {
+	const { aliases = {}, names = {}, order = [], hidden = [], ignoreCase = false } = options ?? {}
+
+	let canonical = {}
+	for (const [scope, list] of Object.entries(aliases)) {
+		for (const alias of [scope, ...[list].flat()]) {
+			canonical[alias.toLowerCase()] = scope
+		}
+	}
+
+	const resolve = scope => scope ? (canonical[scope.toLowerCase()] ?? (ignoreCase ? scope.toLowerCase() : scope)) : ''
+	const titles = Object.fromEntries(Object.entries(names).map(([scope, name]) => [resolve(scope), name]))
+	const ranks = order.map(resolve)
+	const hiddenScopes = new Set(hidden.map(resolve))
+	const rank = (scope, unscopedLast) => ranks.includes(scope) ? ranks.indexOf(scope) : ranks.length + (unscopedLast && scope === '' ? 1 : 0)
+
+	return {
+		resolve,
+		hidden: scope => hiddenScopes.has(scope),
+		title: scope => titles[scope] ?? (scope || null),
+		compare: (a, b, unscopedLast = false) => rank(a, unscopedLast) - rank(b, unscopedLast) || (a < b ? -1 : (a > b ? 1 : 0)),
+	}
+}
+
+/**
+ * Builds a format-neutral model of the changelog from the provided releases data.
+ *
+ * @param {Object.<string, Release>} releases - An object containing release data.
+ * @param {BuildChangelogOptions} [options={}] - Options for building the changelog.
+ * @returns {ChangelogModel} The changelog model, ready to be rendered.
+ */
+function buildChangelogModel(releases, options = {}) {
+	options ??= {}
+	options.coerce ??= true
+	options.onlyFirst ??= false
+	options.onlyBody ??= false
+	options.unreleased ??= 'Unreleased'
+	options.types ??= { feat_add: 'Added', feat_change: 'Changed', feat_remove: 'Removed', fix: 'Fixed' }
+	options.notice ??= {}
+	options.notice.keys ??= { 'BREAKING CHANGES': /^BREAKING[ -]CHANGE$/ }
+	options.notice.all ??= false
+	options.notice.inFooter ??= true
+	options.repoUrl ??= null
+	options.links ??= false
+	options.urls ??= {}
+	options.compareLinks ??= false
+	options.contributors ??= false
+	options.scopeGroups ??= {}
+	options.layout ??= 'type'
+
+	if (!['type', 'scope'].includes(options.layout)) {
+		throw new Error(`Unsupported layout "${options.layout}"`)
+	}
+
+	const repoUrl = options.repoUrl ? options.repoUrl.replace(/\/+$/, '') : null
+	const host = repoUrl ? repoUrl.match(/^[a-z][\w+.-]*:\/\/[^/]+/i)?.[0] ?? null : null
+	const links = options.links === true ? { commits: true, issues: true, mentions: true } : { ...options.links }
+	const urls = { ...defaultUrls, ...options.urls }
+
+	const getCommitUrl = sha => links.commits && repoUrl && sha ? renderTemplate(urls.commit, { repoUrl, host, sha }) : null
+	const getIssueUrl = ({ owner, repository, issue }) => links.issues && repoUrl ? renderTemplate(urls.issue, {
+		repoUrl: owner && repository ? `${host}/${owner}/${repository}` : repoUrl, host, owner, repository, issue,
+	}) : null
+	const getMentionUrl = user => links.mentions && repoUrl ? renderTemplate(urls.mention, { repoUrl, host, user }) : null
+	const getPullRequestUrl = number => links.issues && repoUrl ? renderTemplate(urls.pullRequest, { repoUrl, host, number }) : null
+	const getReleaseUrl = (tag, previous) => options.compareLinks && repoUrl ? renderTemplate(previous ? urls.compare : urls.tag, { repoUrl, host, previous, tag }) : null
+
+	let model = { title: 'Changelog', releases: [] }
+
+	const scopeGroups = createScopeGroups(options.scopeGroups)
+	const isShown = commit => !scopeGroups.hidden(scopeGroups.resolve(commit?.scope))
+	const shown = Object.fromEntries(Object.entries(releases).map(([version, release]) => [version, {
+		...release,
+		commits: Object.fromEntries(Object.entries(release?.commits ?? {}).map(([type, items]) => [type, items.filter(isShown)]).filter(([, items]) => items.length)),
+	}]))
+	const contributors = options.contributors ? getContributors(shown, options.contributors === true ? {} : options.contributors) : {}
+
+	const entries = Object.entries(shown).sort(([, a], [, b]) => !!b?.unreleased - !!a?.unreleased)
+
+	for (const [version, release] of entries) {
+		const commits = release.commits
+		if (Object.keys(commits).length) {
+			const title = release?.unreleased
+				? (typeof options.unreleased === 'string' ? options.unreleased : 'Unreleased')
+				: (options.coerce && (!release.version || semver.valid(release.version)) ? String(semver.coerce(release.version ?? version, { includePrerelease: true })) : (release.version ?? version))
+
+			let notices = {}
+
+			if (Object.keys(options.notice.keys).length) {
+				for (const [type, items] of Object.entries(commits)) {
+					if (options.notice.all || Object.keys(options.types).includes(type)) {
+						for (const commit of items) {
+							for (const [label, check] of Object.entries(options.notice.keys)) {
+								let commitNotices = getNotices(commit, label, check)
+								if (commitNotices.length) {
+									notices[label] ??= []
+									notices[label] = [...notices[label], ...commitNotices]
+								}
+							}
+						}
+					}
+				}
+			}
+
+			const toEntry = (commit, type) => {
+				const scope = scopeGroups.resolve(commit?.scope)
+				return {
+					text: commit.subject ?? commit.breaking ?? commit.header ?? commit.merge ?? commit?.revert?.header,
+					type: commit.type ?? type,
+					subType: commit.subType ?? false,
+					scope: scope || null,
+					hash: commit.hash ?? null,
+					author: commit.author ?? null,
+					date: commit.date ?? null,
+					url: getCommitUrl(commit.hash),
+					references: (commit.references ?? []).map(({ owner, repository, issue, prefix }) => ({ owner, repository, issue, prefix, url: getIssueUrl({ owner, repository, issue }) })),
+					mentions: [...new Set(commit.mentions ?? [])].map(user => ({ user, url: getMentionUrl(user) })),
+					reverts: commit.reverts ? { ...commit.reverts, url: getCommitUrl(commit.reverts.hash) } : null,
+					pullRequest: commit.pullRequest ? {
+						number: commit.pullRequest.number,
+						title: commit.pullRequest.title,
+						labels: commit.pullRequest.labels ?? [],
+						url: getPullRequestUrl(commit.pullRequest.number),
+					} : null,
+					commit,
+				}
+			}
+
+			let sections = []
+
+			if (options.layout === 'scope') {
+				let scopes = {}
+				for (const type of Object.keys(options.types)) {
+					for (const commit of commits[type] ?? []) {
+						const scope = scopeGroups.resolve(commit?.scope)
+						scopes[scope] ??= {}
+						scopes[scope][type] ??= []
+						scopes[scope][type].push(commit)
+					}
+				}
+				for (const scope of Object.keys(scopes).sort((a, b) => scopeGroups.compare(a, b, true))) {
+					sections.push({
+						type: null,
+						scope: scope || null,
+						title: scopeGroups.title(scope) ?? 'Other',
+						groups: Object.entries(scopes[scope]).map(([type, items]) => ({
+							title: options.types[type],
+							scope: scope || null,
+							type,
+							entries: items.map(commit => toEntry(commit, type)),
+						})),
+					})
+				}
+			} else {
+				for (const [type, sectionTitle] of Object.entries(options.types)) {
+					if (!commits[type]) continue
+					let scopes = {}
+					for (const commit of commits[type]) {
+						const scope = scopeGroups.resolve(commit?.scope)
+						scopes[scope] ??= []
+						scopes[scope].push(commit)
+					}
+					sections.push({
+						type,
+						title: sectionTitle,
+						groups: Object.keys(scopes).sort(scopeGroups.compare).map(scope => ({
+							title: scopeGroups.title(scope),
+							scope: scope || null,
+							type,
+							entries: scopes[scope].map(commit => toEntry(commit, type)),
+						})),
+					})
+				}
+			}
+
+			const tag = release?.tag ?? version
+			const previous = release?.previous ?? null
+
+			model.releases.push({
+				version,
+				tag,
+				previous,
+				url: getReleaseUrl(tag, previous),
+				title,
+				date: release?.date ?? '',
+				unreleased: !!release?.unreleased,
+				header: release?.header ?? null,
+				footer: release?.footer ?? null,
+				notices: Object.entries(notices).map(([label, items]) => ({ label, items })),
+				sections,
+				contributors: (contributors[version] ?? []).map(contributor => ({ ...contributor, url: contributor.login ? getMentionUrl(contributor.login) : null })),
+			})
+		}
+		if (options.onlyFirst) break
+	}
+
+	return model
+}
+
+/**
+ * The default changelog templates.
+ *
+ * @type {ChangelogTemplates}
+ */
+const defaultTemplates = {
+	release: '{{title}}{{#date}} ({{date}}){{/date}}',
+	section: '{{title}}',
+	group: '{{title}}',
+	entry: '{{subject}}{{#reverts}} (reverts {{reverts}}){{/reverts}}{{#pr}} ({{pr}}){{/pr}}{{#commit}} ({{commit}}){{/commit}}',
+	contributor: '{{name}}{{#firstTime}} (first contribution){{/firstTime}}',
+}
+
+/**
+ * The default URL templates, which follow GitHub's URL structure.
+ *
+ * @type {ChangelogUrls}
+ */
+const defaultUrls = {
+	commit: '{{repoUrl}}/commit/{{sha}}',
+	issue: '{{repoUrl}}/issues/{{issue}}',
+	mention: '{{host}}/{{user}}',
+	pullRequest: '{{repoUrl}}/pull/{{number}}',
+	compare: '{{repoUrl}}/compare/{{previous}}...{{tag}}',
+	tag: '{{repoUrl}}/tree/{{tag}}',
+}
+
+/**
+ * Renders a template string with the provided variables.
+ *
+ * @param {string} template - The template string.
+ * @param {Object.<string, *>} vars - The variables available to the template.
+ * @returns {string} The rendered string.
+ */
+function renderTemplate(template, vars) {
+	// Sections and variables are matched in a single pass, so substituted values are never parsed as template syntax
+	return String(template ?? '').replace(/\{\{([#^])\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}|\{\{\s*(\w+)\s*\}\}/g, (match, mode, name, inner, variable) => {
+		if (variable) {
+			return vars[variable] ?? ''
+		}
+
+		return !!(vars[name] ?? '') === (mode === '#') ? renderTemplate(inner, vars) : ''
+	})
+}
+
+/**
+ * Gets the template variables for a changelog entry.
+ *
+ * Issue references and mentions in the subject are linked if the entry has URLs for them.
+ *
+ * @param {ChangelogEntry} entry - The changelog entry.
+ * @param {function(string): string} escape - The function used to escape text for the output format.
+ * @param {function(string, string): string} [link] - The function used to render a link for the output format, given the text and URL.
+ * @returns {Object.<string, string>} The template variables.
+ */
+function getEntryVars(entry, escape, link = text => text) {
+	const getLabel = ref => `${ref.owner && ref.repository ? `${ref.owner}/${ref.repository}` : ''}${ref.prefix}${ref.issue}`
+	const references = entry.references ?? []
+
+	const targets = Object.fromEntries([
+		...references.filter(ref => ref.url).map(ref => [escape(getLabel(ref)), ref.url]),
+		...(entry.mentions ?? []).filter(mention => mention.url).map(mention => [escape(`@${mention.user}`), mention.url]),
+	])
+
+	let subject = escape(entry.text ?? '')
+	if (Object.keys(targets).length) {
+		const labels = Object.keys(targets).sort((a, b) => b.length - a.length).map(label => label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+		subject = subject.replace(new RegExp(`(?<![\\w/&@.])(${labels.join('|')})(?![\\w-])`, 'g'), label => link(label, targets[label]))
+	}
+
+	const shortSha = entry.hash?.slice(0, 7) ?? ''
+
+	return {
+		subject,
+		scope: escape(entry.scope ?? ''),
+		type: entry.type ?? '',
+		subType: entry.subType || '',
+		sha: entry.hash ?? '',
+		shortSha,
+		commit: entry.url && shortSha ? link(shortSha, entry.url) : '',
+		commitUrl: entry.url ?? '',
+		author: escape(entry.author?.login ?? entry.author?.name ?? ''),
+		references: references.map(ref => ref.url ? link(escape(getLabel(ref)), ref.url) : escape(getLabel(ref))).join(', '),
+		pr: entry.pullRequest ? (entry.pullRequest.url ? link(escape(`#${entry.pullRequest.number}`), entry.pullRequest.url) : escape(`#${entry.pullRequest.number}`)) : '',
+		prNumber: entry.pullRequest ? String(entry.pullRequest.number) : '',
+		prUrl: entry.pullRequest?.url ?? '',
+		reverts: entry.reverts ? [entry.reverts.hash ? (entry.reverts.url ? link(entry.reverts.hash.slice(0, 7), entry.reverts.url) : entry.reverts.hash.slice(0, 7)) : '', escape(entry.reverts.tag)].filter(Boolean).join(' in ') : '',
+		labels: escape((entry.pullRequest?.labels ?? []).join(', ')),
+		date: entry.date ?? '',
+	}
+}
+
+/**
+ * Gets the template variables for a contributor.
+ *
+ * @param {Contributor & {url: string|null}} contributor - The contributor.
+ * @param {function(string): string} escape - The function used to escape text for the output format.
+ * @param {function(string, string): string} [link] - The function used to render a link for the output format, given the text and URL.
+ * @returns {Object.<string, string>} The template variables.
+ */
+function getContributorVars(contributor, escape, link = text => text) {
+	const name = contributor.login ? `@${escape(contributor.login)}` : escape(contributor.name ?? contributor.email ?? '')
+
+	return {
+		name: contributor.url ? link(name, contributor.url) : name,
+		login: escape(contributor.login ?? ''),
+		email: escape(contributor.email ?? ''),
+		firstTime: contributor.firstTime ? 'yes' : '',
+	}
+}
+
+/**
+ * Renders a changelog model as Markdown.
+ *
+ * @type {Renderer}
+ */
+function renderMarkdown(model, options) {
+	const templates = { ...defaultTemplates, ...options.templates }
+	let lines = []
+
+	!options.onlyBody && lines.push(`# ${model.title}`, '')
+
+	for (const release of model.releases) {
+		const title = release.url ? (options.compareLinks === 'references' ? `[${release.title}]` : `[${release.title}](${release.url})`) : release.title
+		!options.onlyBody && lines.push('', `## ${renderTemplate(templates.release, { ...release, title })}`, '')
+
+		let notice = []
+		for (const { label, items } of release.notices) {
+			notice.push(`### ${label}`, '')
+			for (const item of items) {
+				notice.push(`- ${item}`)
+			}
+			notice.push('')
+		}
+
+		if (release.header) {
+			lines.push(release.header, '')
+		}
+
+		if (notice.length && !options.notice.inFooter) {
+			lines.push(notice.join('\n'), '')
+		}
+
+		for (const section of release.sections) {
+			lines.push(`### ${renderTemplate(templates.section, section)}`, '')
+			for (const group of section.groups) {
+				const groupTitle = group.title ? renderTemplate(templates.group, { title: group.title, scope: group.scope, type: group.type }) : ''
+				if (groupTitle) {
+					lines.push(`- ${groupTitle}`)
+				}
+				for (const entry of group.entries) {
+					lines.push(`${groupTitle ? '  ' : ''}- ${renderTemplate(templates.entry, getEntryVars(entry, escapeHTML, (text, url) => `[${text}](${url})`))}`)
+				}
+			}
+			lines.push('')
+		}
+
+		if (notice.length && options.notice.inFooter) {
+			lines.push(notice.join('\n'), '')
+		}
+
+		if (release.contributors.length) {
+			lines.push(`### ${(options.contributors?.title ?? 'Contributors')}`, '')
+			for (const contributor of release.contributors) {
+				lines.push(`- ${renderTemplate(templates.contributor, getContributorVars(contributor, escapeHTML, (text, url) => `[${text}](${url})`))}`)
+			}
+			lines.push('')
+		}
+
+		if (release.footer) {
+			lines.push(release.footer, '')
+		}
+	}
+
+	if (!options.onlyBody && options.compareLinks === 'references') {
+		const definitions = model.releases.filter(release => release.url).map(release => `[${release.title}]: ${release.url}`)
+		definitions.length && lines.push(...definitions, '')
+	}
+
+	return lines
+}
+
+/**
+ * Renders a changelog model as HTML.
+ *
+ * @type {Renderer}
+ */
+function renderHTML(model, options) {
+	const templates = { ...defaultTemplates, ...options.templates }
+	const escapeVars = vars => Object.fromEntries(Object.entries(vars).map(([key, value]) => [key, typeof value === 'string' ? escapeHTML(value) : value]))
+	let lines = []
+
+	!options.onlyBody && lines.push(`<h1>${escapeHTML(model.title)}</h1>`)
+
+	for (const release of model.releases) {
+		const title = release.url ? `<a href="${escapeHTML(release.url)}">${escapeHTML(release.title)}</a>` : escapeHTML(release.title)
+		!options.onlyBody && lines.push(`<h2>${renderTemplate(templates.release, { ...escapeVars(release), title })}</h2>`)
+
+		let notice = []
+		for (const { label, items } of release.notices) {
+			notice.push(`<h3>${escapeHTML(label)}</h3>`, '<ul>', ...items.map(item => `\t<li>${escapeHTML(item)}</li>`), '</ul>')
+		}
+
+		if (release.header) {
+			lines.push(`<p>${escapeHTML(release.header)}</p>`)
+		}
+
+		if (notice.length && !options.notice.inFooter) {
+			lines.push(...notice)
+		}
+
+		for (const section of release.sections) {
+			lines.push(`<h3>${renderTemplate(templates.section, escapeVars(section))}</h3>`, '<ul>')
+			for (const group of section.groups) {
+				const groupTitle = group.title ? renderTemplate(templates.group, escapeVars({ title: group.title, scope: group.scope, type: group.type })) : ''
+				const entries = group.entries.map(entry => `<li>${renderTemplate(templates.entry, getEntryVars(entry, escapeHTML, (text, url) => `<a href="${escapeHTML(url)}">${text}</a>`))}</li>`)
+				if (groupTitle) {
+					lines.push(`\t<li>${groupTitle}`, '\t\t<ul>', ...entries.map(entry => `\t\t\t${entry}`), '\t\t</ul>', '\t</li>')
+				} else {
+					lines.push(...entries.map(entry => `\t${entry}`))
+				}
 			}
+			lines.push('</ul>')
+		}
+
+		if (notice.length && options.notice.inFooter) {
+			lines.push(...notice)
+		}
+
+		if (release.contributors.length) {
+			lines.push(`<h3>${escapeHTML((options.contributors?.title ?? 'Contributors'))}</h3>`, '<ul>')
+			for (const contributor of release.contributors) {
+				lines.push(`\t<li>${renderTemplate(templates.contributor, getContributorVars(contributor, escapeHTML, (text, url) => `<a href="${escapeHTML(url)}">${text}</a>`))}</li>`)
+			}
+			lines.push('</ul>')
+		}
+
+		if (release.footer) {
+			lines.push(`<p>${escapeHTML(release.footer)}</p>`)
+		}
+	}
+
+	return lines
+}
+
+/**
+ * Renders a changelog model as AsciiDoc. Text is escaped with character references, so it is never parsed as AsciiDoc markup.
+ *
+ * @type {Renderer}
+ */
+function renderAsciiDoc(model, options) {
+	const templates = { ...defaultTemplates, ...options.templates }
+	const escapeVars = vars => Object.fromEntries(Object.entries(vars).map(([key, value]) => [key, typeof value === 'string' ? escapeAsciiDoc(value) : value]))
+	const link = (text, url) => `link:${url}[${text}]`
+	let lines = []
+
+	!options.onlyBody && lines.push(`= ${escapeAsciiDoc(model.title)}`, '')
+
+	for (const release of model.releases) {
+		const title = release.url ? link(escapeAsciiDoc(release.title), release.url) : escapeAsciiDoc(release.title)
+		!options.onlyBody && lines.push(`== ${renderTemplate(templates.release, { ...escapeVars(release), title })}`, '')
+
+		let notice = []
+		for (const { label, items } of release.notices) {
+			notice.push(`=== ${escapeAsciiDoc(label)}`, '', ...items.map(item => `* ${escapeAsciiDoc(item)}`), '')
+		}
+
+		if (release.header) {
+			lines.push(escapeAsciiDoc(release.header), '')
+		}
+
+		if (notice.length && !options.notice.inFooter) {
+			lines.push(...notice)
+		}
+
+		for (const section of release.sections) {
+			lines.push(`=== ${renderTemplate(templates.section, escapeVars(section))}`, '')
+			for (const group of section.groups) {
+				const groupTitle = group.title ? renderTemplate(templates.group, escapeVars({ title: group.title, scope: group.scope, type: group.type })) : ''
+				if (groupTitle) {
+					lines.push(`* ${groupTitle}`)
+				}
+				for (const entry of group.entries) {
+					lines.push(`${groupTitle ? '**' : '*'} ${renderTemplate(templates.entry, getEntryVars(entry, escapeAsciiDoc, link))}`)
+				}
+			}
+			lines.push('')
+		}
+
+		if (notice.length && options.notice.inFooter) {
+			lines.push(...notice)
+		}
+
+		if (release.contributors.length) {
+			lines.push(`=== ${escapeAsciiDoc(options.contributors?.title ?? 'Contributors')}`, '')
+			for (const contributor of release.contributors) {
+				lines.push(`* ${renderTemplate(templates.contributor, getContributorVars(contributor, escapeAsciiDoc, link))}`)
+			}
+			lines.push('')
+		}
+
+		if (release.footer) {
+			lines.push(escapeAsciiDoc(release.footer), '')
+		}
+	}
+
+	return lines
+}
+
+/**
+ * Renders a changelog model as JSON. The commits are left out of the entries.
+ *
+ * @type {Renderer}
+ */
+function renderJSON(model, options) {
+	const data = options.onlyBody ? model.releases : model
+	return [JSON.stringify(data, (key, value) => key === 'commit' ? undefined : value, 2)]
+}
+
+/**
+ * The built-in changelog renderers, keyed by format.
+ *
+ * @type {Object.<string, Renderer>}
+ */
+const renderers = {
+	markdown: renderMarkdown,
+	html: renderHTML,
+	asciidoc: renderAsciiDoc,
+	json: renderJSON,
+}
+
+/**
+ * Builds a changelog from the provided releases data.
+ *
+ * @param {Object.<string, Release>} releases - An object containing release data.
+ * @param {BuildChangelogOptions} [options={}] - Options for building the changelog.
+ * @returns {string[]} An array of strings representing the lines of the changelog.
+ * @throws {Error} If the format is not supported.
+ */
+function buildChangelog(releases, options = {}) {
+	options ??= {}
+	options.format ??= 'markdown'
+	typeof options.format === 'string' && (options.format = options.format.trim().toLowerCase())
+
+	const renderer = typeof options.format === 'function' ? options.format : renderers[options.format]
+	if (!renderer) {
+		throw new Error(`Unsupported changelog format "${options.format}"`)
+	}
+
+	return renderer(buildChangelogModel(releases, options), options)
+}
+
+/**
+ * @typedef {Object} ChangelogSection
+ * @property {string|null} version - The version of the section heading, or null if the heading is not a version (e.g. "Unreleased").
+ * @property {string} title - The raw text of the section heading, without the `## ` prefix.
+ * @property {string} text - The raw text of the section, including its heading.
+ */
+
+/**
+ * Splits a Markdown changelog into the text before the first release, its `## <version>` sections, and the link reference
+ * definitions at the end (e.g. `[1.0.0]: https://...`, from the `references` compare links).
+ *
+ * @param {string} content - The Markdown changelog.
+ * @returns {{preamble: string, sections: ChangelogSection[], definitions: Object.<string, string>}} The preamble and sections, which join back
+ *   into the original content without the definitions, and the definitions mapping each label to its URL.
+ */
+function parseChangelogSections(content) {
+	let lines = (content ?? '').split('\n')
+	let end = lines.length
+	while (end > 0 && !lines[end - 1].trim()) end--
+	let start = end
+	while (start > 0 && /^\[[^\]]+\]:\s+\S+/.test(lines[start - 1])) start--
+	const definitions = Object.fromEntries(lines.slice(start, end).map(line => line.match(/^\[([^\]]+)\]:\s+(\S+)/).slice(1)))
+	start < end && (content = lines.slice(0, start).join('\n'))
+
+	const chunks = (content ?? '').split(/^(?=## )/m)
+	const preamble = chunks.length && !chunks[0].startsWith('## ') ? chunks.shift() : ''
+
+	const sections = chunks.map(text => {
+		const title = text.slice(3, text.includes('\n') ? text.indexOf('\n') : undefined).trim()
+		const match = title.match(/^\[?([^\]\s]+)/)
+		const version = match && semver.coerce(match[1], { includePrerelease: true }) ? match[1] : null
+		return { version, title, text }
+	})
+
+	return { preamble, sections, definitions }
+}
 
-			if (notice.length && !options.notice.inFooter) {
-				lines.push(notice.join('\n'), '')
-			}
+/**
+ * Merges a newly built changelog into an existing one.
+ *
+ * Release sections missing from the existing changelog are added in version order, and sections
+ * without a version (e.g. "Unreleased") are replaced by the new ones. Everything else is left untouched.
+ * The link reference definitions of both changelogs are merged, the new ones taking precedence, and rebuilt at the end.
+ *
+ * @param {string} existing - The content of the existing Markdown changelog.
+ * @param {string} changelog - The newly built Markdown changelog.
+ * @param {Object} [options={}] - Options for merging the changelog.
+ * @param {boolean|string} [options.unreleased='Unreleased'] - The heading of the unreleased section, which is removed once it has no new counterpart.
+ * @returns {string} The merged changelog.
+ */
+function mergeChangelog(existing, changelog, options = {}) {
+	options ??= {}
+	const unreleasedTitle = typeof options.unreleased === 'string' ? options.unreleased : 'Unreleased'
 
-			for (const [type, title] of Object.entries(options.types)) {
-				if (!release.commits[type]) continue
-				lines.push(`### ${title}`, '')
-				let scopes = {}
-				for (const commit of release.commits[type]) {
-					scopes[commit?.scope ?? ''] ??= []
-					scopes[commit?.scope ?? ''].push(commit)
-				}
-				for (const scope of Object.keys(scopes).sort()) {
-					if (scope) {
-						lines.push(`- ${scope}`)
-					}
-					for (const commit of scopes[scope]) {
-						lines.push(`${scope ? '  ' : ''}- ${escapeHTML(commit.subject ?? commit.breaking ?? commit.header ?? commit.merge ?? commit?.revert?.header)}`)
-					}
-				}
-				lines.push('')
-			}
+	const current = parseChangelogSections(existing)
+	const update = parseChangelogSections(changelog)
 
-			if (notice.length && options.notice.inFooter) {
-				lines.push(notice.join('\n'), '')
-			}
+	if (!current.sections.length && !current.preamble.trim()) {
+		return changelog
+	}
+
+	const coerce = version => semver.coerce(version, { includePrerelease: true })
+	const isSame = (a, b) => a.version && b.version ? (a.version === b.version || semver.eq(coerce(a.version), coerce(b.version))) : a.title === b.title
+	const separate = (text, newlines) => text.replace(/\n*$/, match => match.length >= newlines ? match : '\n'.repeat(newlines))
 
-			if (release?.footer) {
-				lines.push(release.footer, '')
+	let sections = current.sections.filter(section => section.version || section.title !== unreleasedTitle || update.sections.some(s => isSame(s, section)))
+
+	for (const section of update.sections) {
+		const index = sections.findIndex(s => isSame(s, section))
+		if (index !== -1) {
+			if (!section.version) {
+				sections[index] = { ...section, inserted: true }
 			}
+			continue
 		}
-		if (options.onlyFirst) break
+
+		let position = section.version ? sections.findIndex(s => s.version && semver.lt(coerce(s.version), coerce(section.version))) : 0
+		position === -1 && (position = sections.length)
+		sections.splice(position, 0, { ...section, inserted: true })
 	}
 
-	return lines
+	const preamble = sections[0]?.inserted && current.preamble ? separate(current.preamble, 2) : current.preamble
+
+	const merged = preamble + sections.map((section, index) => {
+		const next = sections[index + 1]
+		if (!next || (!section.inserted && !next.inserted)) {
+			return section.text
+		}
+		return separate(section.text, section.inserted ? 3 : 2)
+	}).join('')
+
+	const definitions = { ...current.definitions, ...update.definitions }
+	if (!Object.keys(definitions).length) {
+		return merged
+	}
+	const labels = sections.map(section => section.title.match(/^\[([^\]]+)\]/)?.[1]).filter(label => label in definitions)
+	const ordered = [...new Set([...labels, ...Object.keys(definitions)])]
+
+	return separate(merged, 2) + ordered.map(label => `[${label}]: ${definitions[label]}`).join('\n') + '\n'
 }
 
 /**
@@ -615,72 +1928,586 @@ async function getRepoData(octokit, endpoint, options = {}) {
 	return items
 }
 
+/**
+ * Reads commits from the local git checkout with `git log`, in the same shape as the GitHub API.
+ *
+ * @param {string[]} args - The arguments for `git log`, e.g. the revisions to read.
+ * @returns {Array} An array of commits.
+ * @throws {Error} If the git command fails, e.g. because a revision does not exist.
+ */
+function getLocalCommits(args) {
+	const format = '--format=%H%x1f%an%x1f%ae%x1f%aI%x1f%cn%x1f%ce%x1f%B%x1e'
+	const output = execFileSync('git', ['log', format, ...args], { encoding: 'utf-8', maxBuffer: 1024 * 1024 * 1024, stdio: ['ignore', 'pipe', 'pipe'] })
+
+	return output.split('\x1e').map(item => item.trim()).filter(Boolean).map(item => {
+		const [sha, name, email, date, committerName, committerEmail, message] = item.split('\x1f')
+		return { sha, commit: { message: message.trim(), author: { name, email, date }, committer: { name: committerName, email: committerEmail } }, author: null, committer: null }
+	})
+}
+
+/**
+ * Retrieves repository data from the local git checkout.
+ *
+ * Mirrors the `getRepoData` endpoints, returning items in the same shape as the GitHub API,
+ * so the data can be used without a token or network access. Since there are no GitHub releases
+ * locally, `listReleases` returns one release per tag, dated by the tag's creation date.
+ *
+ * @param {'listCommits' | 'listTags' | 'listReleases'} endpoint - The API endpoint to emulate.
+ * @returns {Array} An array of retrieved items.
+ */
+function getLocalRepoData(endpoint) {
+	try {
+		switch (endpoint) {
+			case 'listCommits':
+				return getLocalCommits(['HEAD', '--tags'])
+			case 'listTags':
+			case 'listReleases': {
+				const format = '--format=%(refname:strip=2)%1f%(objectname)%1f%(*objectname)%1f%(creatordate:iso-strict)'
+				const output = execFileSync('git', ['for-each-ref', 'refs/tags', format], { encoding: 'utf-8', maxBuffer: 1024 * 1024 * 1024 })
+				const tags = output.trim().split('\n').filter(Boolean).map(line => {
+					const [name, objectSha, commitSha, date] = line.split('\x1f')
+					return { name, sha: commitSha || objectSha, date }
+				})
+				return endpoint === 'listTags'
+					? tags.map(({ name, sha }) => ({ name, commit: { sha } }))
+					: tags.map(({ name, date }) => ({ tag_name: name, name: null, published_at: null, created_at: date }))
+			}
+		}
+	} catch (error) {
+		console.error('Error executing git command:', error.message)
+	}
+
+	return []
+}
+
+/**
+ * Normalizes a pull request from the GitHub API, or from a fixture, into a `PullRequest`.
+ *
+ * @param {Object} pr - The pull request data.
+ * @returns {PullRequest} The normalized pull request.
+ */
+function toPullRequest(pr) {
+	return {
+		number: Number(pr.number),
+		title: pr.title ?? '',
+		body: pr.body ?? null,
+		labels: (pr.labels ?? []).map(label => typeof label === 'string' ? label : label.name).filter(Boolean),
+		url: pr.html_url ?? pr.url ?? null,
+		author: typeof pr.author === 'string' ? pr.author : (pr.user?.login ?? null),
+	}
+}
+
+/**
+ * Normalizes a commit from the GitHub API, or from `getLocalRepoData`, into a `RawCommit`.
+ *
+ * @param {Object} commit - The commit data.
+ * @returns {RawCommit} The normalized commit.
+ */
+function toRawCommit(commit) {
+	return {
+		sha: commit.sha,
+		message: commit.commit.message,
+		author: { name: commit.commit.author?.name ?? null, email: commit.commit.author?.email ?? null, login: commit.author?.login ?? null },
+		committer: { name: commit.commit.committer?.name ?? null, email: commit.commit.committer?.email ?? null, login: commit.committer?.login ?? null },
+		date: commit.commit.author?.date?.slice(0, 10) ?? null,
+	}
+}
+
+/**
+ * @typedef {Object} GetPullRequestsOptions
+ * @property {boolean|Object.<string, Object>} [pullRequests=true] - Whether to resolve pull requests, or an object mapping commit SHAs to pull requests to use instead of the API (e.g. a fixture).
+ * @property {function(string): Promise<Object|null>} [resolvePullRequest] - A function resolving a commit SHA to its pull request, used instead of the API.
+ * @property {number} [concurrency=10] - The maximum number of pull requests to resolve at once.
+ * @property {Object} [params={}] - Parameters for API requests, including the `owner` and `repo`.
+ */
+
+/**
+ * Resolves the pull requests that commits were merged with.
+ *
+ * @async
+ * @param {Octokit|null} octokit - The Octokit instance for making GitHub API calls, or null if the API is not available.
+ * @param {string[]} shas - The SHAs of the commits to resolve.
+ * @param {GetPullRequestsOptions} [options={}] - Options for resolving the pull requests.
+ * @returns {Promise<Object.<string, PullRequest>>} An object mapping commit SHAs to their pull requests.
+ * @throws {Error} If `concurrency` is not a positive integer, or any of the pull requests can't be resolved.
+ */
+async function getPullRequests(octokit, shas, options = {}) {
+	options = { ...{ pullRequests: true, resolvePullRequest: null, concurrency: 10, params: {} }, ...options }
+
+	if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+		throw new Error(`Invalid concurrency "${options.concurrency}", expected a positive integer`)
+	}
+
+	let resolve = options.resolvePullRequest
+	if (!resolve && options.pullRequests && typeof options.pullRequests === 'object') {
+		resolve = async sha => options.pullRequests[sha] ?? null
+	}
+	if (!resolve && octokit) {
+		resolve = async sha => {
+			const { owner, repo } = options.params
+			const { data } = await octokit.rest.repos.listPullRequestsAssociatedWithCommit({ owner, repo, commit_sha: sha })
+			return data.find(pr => pr.merged_at) ?? data[0] ?? null
+		}
+	}
+	if (!resolve) {
+		return {}
+	}
+
+	let pullRequests = {}
+	let failed = []
+
+	const unique = [...new Set(shas.filter(Boolean))]
+	for (let index = 0; index < unique.length; index += options.concurrency) {
+		await Promise.all(unique.slice(index, index + options.concurrency).map(async sha => {
+			try {
+				const pr = await resolve(sha)
+				pr && (pullRequests[sha] = toPullRequest(pr))
+			} catch (error) {
+				failed.push(`${sha.slice(0, 7)} (${error.message})`)
+			}
+		}))
+	}
+
+	if (failed.length) {
+		throw new Error(`Failed to resolve the pull requests of commits ${failed.join(', ')}`)
+	}
+
+	return pullRequests
+}
+
+/**
+ * Parses a GitHub pull request merge commit message, like `Merge pull request #42 from org/branch`.
+ *
+ * @param {string} message - The commit message.
+ * @returns {{number: number, source: string, message: string|null}|null} The pull request number, the source branch and
+ *   the rest of the message (which starts with the pull request title), or null if it isn't a pull request merge commit.
+ */
+function getMergePullRequest(message) {
+	const match = (message ?? '').match(/^Merge pull request #(\d+) from (\S+)[^\n]*(?:\n+([\s\S]*))?$/)
+	if (!match) {
+		return null
+	}
+
+	return { number: Number(match[1]), source: match[2], message: match[3]?.trim() || null }
+}
+
+/**
+ * Replaces the message of pull request merge commits with the pull request title and description from their body,
+ * so they go through the normal type detection instead of being typed as `merge`.
+ *
+ * @param {RawCommit[]} commits - The commits to process.
+ * @returns {RawCommit[]} The processed commits.
+ */
+function useMergeCommitTitles(commits) {
+	return commits.map(commit => {
+		const merge = getMergePullRequest(commit.message)
+		if (!merge?.message) {
+			return commit
+		}
+
+		const [title, ...body] = merge.message.split('\n')
+
+		return {
+			...commit,
+			message: merge.message,
+			pullRequest: commit.pullRequest ?? { number: merge.number, title, body: body.join('\n').trim() || null, labels: [], url: null, author: null },
+		}
+	})
+}
+
+/**
+ * The default patterns of noise lines dropped from squash commit bodies.
+ *
+ * @type {string[]}
+ */
+const defaultSquashNoise = ['^(fixup|squash|amend)!', '^wip\\b', '^fixup\\b', '^squash\\b']
+
+/**
+ * @typedef {Object} SplitSquashCommitsOptions
+ * @property {Array<string|RegExp>} [noise] - Patterns of noise lines to drop, matched case-insensitively. Defaults to fixup, squash, amend and wip lines.
+ * @property {string[]} [validTypes] - The commit types of the body lines to split into entries.
+ */
+
+/**
+ * Splits squash commits into one commit per conventional commit line listed in their body (e.g. `* fix: y`).
+ *
+ * GitHub squash merges list the original commits as bullets in the body. Each bullet with a conventional header becomes
+ * a commit with the same hash and pull request, and the squash header is only kept if it is a different conventional header.
+ * Noise lines, whose text or subject is like `fixup! ...` or `wip`, are dropped. Commits without conventional body lines are left as is.
+ * The footer of the squash commit (e.g. `BREAKING CHANGE: ...` notes and trailers, or a `!` in its header) is added to the first split commit,
+ * so breaking changes are kept once. `Co-authored-by` trailers are kept in the `coAuthors` of every split commit instead.
+ *
+ * @param {RawCommit[]} commits - The commits to split.
+ * @param {SplitSquashCommitsOptions} [options={}] - Options for splitting the commits.
+ * @returns {RawCommit[]} The split commits.
+ */
+function splitSquashCommits(commits, options = {}) {
+	options = { ...{ noise: defaultSquashNoise, validTypes: validTypes }, ...options }
+	const noise = options.noise.map(pattern => pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i'))
+	const isConventional = line => options.validTypes.includes(line.match(/^(\w+)(?:\([^)]*\))?!?:\s+\S/)?.[1])
+
+	return commits.flatMap(commit => {
+		const [header, ...body] = (commit.message ?? '').split('\n')
+		const lines = body
+			.map(line => line.match(/^\s*[*-]\s+(.+?)\s*$/)?.[1])
+			.filter(line => line && isConventional(line) && !noise.some(pattern => pattern.test(line) || pattern.test(line.replace(/^[^:]+:\s+/, ''))))
+		if (!lines.length) {
+			return [commit]
+		}
+
+		const number = header.match(/\(#(\d+)\)\s*$/)?.[1]
+		const pullRequest = commit.pullRequest ?? (number ? { number: Number(number), title: header.replace(/\s*\(#\d+\)\s*$/, ''), body: null, labels: [], url: null, author: null } : null)
+		const coAuthors = [...(commit.coAuthors ?? []), ...getCoAuthors(commit.message)]
+		const title = header.replace(/\s*\(#\d+\)\s*$/, '')
+		const messages = isConventional(title) && !lines.includes(title) ? [title, ...lines] : lines
+
+		const footerStart = body.findIndex(line => /^(BREAKING[ -]CHANGE|[A-Za-z][\w-]*)(:\s|\s#)/.test(line))
+		let footer = footerStart === -1 ? [] : body.slice(footerStart).filter(line => !/^\s*[*-]\s+/.test(line) && !/^co-authored-by:/i.test(line))
+		if (/^\w+(?:\([^)]*\))?!:\s/.test(title) && !footer.some(line => /^BREAKING[ -]CHANGE:/.test(line))) {
+			footer = [`BREAKING CHANGE: ${title.replace(/^[^:]+:\s+/, '')}`, ...footer]
+		}
+		footer = footer.join('\n').trim()
+
+		return [...new Set(messages)].map((message, index) => ({ ...commit, message: index === 0 && footer ? `${message}\n\n${footer}` : message, pullRequest, coAuthors }))
+	})
+}
+
+/**
+ * Collapses commits merged with the same pull request into one commit, whose message is the pull request title and description.
+ *
+ * @param {RawCommit[]} commits - The commits to collapse.
+ * @param {Object.<string, PullRequest>} pullRequests - An object mapping commit SHAs to their pull requests.
+ * @returns {RawCommit[]} The collapsed commits, in the order they were first seen.
+ */
+function collapsePullRequests(commits, pullRequests) {
+	let collapsed = []
+	let byNumber = {}
+
+	for (const commit of commits) {
+		const pr = pullRequests[commit.sha]
+		if (!pr) {
+			collapsed.push(commit)
+			continue
+		}
+
+		if (byNumber[pr.number]) {
+			byNumber[pr.number].shas.push(commit.sha)
+			commit.author && byNumber[pr.number].coAuthors.push(commit.author)
+			continue
+		}
+
+		byNumber[pr.number] = {
+			...commit,
+			message: [pr.title, pr.body].filter(Boolean).join('\n\n'),
+			author: pr.author ? { name: null, email: null, login: pr.author } : commit.author,
+			coAuthors: pr.author && commit.author ? [commit.author] : [],
+			pullRequest: pr,
+			shas: [commit.sha],
+		}
+		collapsed.push(byNumber[pr.number])
+	}
+
+	return collapsed
+}
+
 /**
  * @typedef {Object} FilterRepoDataOptions
- * @property {number} [limit=500] - The maximum number of items to retrieve.
+ * @property {number} [limit=500] - The maximum number of items to retrieve. Ignored when reading from the local git checkout.
  * @property {Object} [params={ per_page: 100 }] - Parameters for API requests.
  * @property {boolean|string} [addDate=true] - Whether to add a date to the latest release if missing. If a string, uses that as the date.
+ * @property {boolean|string} [unreleased=false] - Whether to add the commits made after the latest tag as an "Unreleased" release, keyed as `HEAD`.
+ * @property {boolean} [unreleasedCommits=true] - Whether to collect the commits made after the latest tag into the returned `unreleased` release (e.g. for `getNextVersion` or `lintCommits`) when the `unreleased` option is off. If false, it is left empty.
+ * @property {boolean|Object.<string, Object>} [pullRequests=false] - Whether to resolve each commit to its pull request and use the pull request title instead of the commit message, collapsing the commits of each pull request into one. An object mapping commit SHAs to pull requests can be used instead of the API.
+ * @property {function(string): Promise<Object|null>} [resolvePullRequest] - A function resolving a commit SHA to its pull request, used instead of the API.
+ * @property {number} [concurrency=10] - The maximum number of pull requests to resolve at once.
+ * @property {Object.<string, string|MessageTypeResult|false>} [labels={}] - A mapping of pull request label names to types, e.g. `{ bug: 'fix', enhancement: 'feat_add', breaking: 'breaking', 'skip-changelog': false }`. See `getLabelType`.
  * @property {Object} [defaultType={ type: 'feat', subType: 'change' }] - The default type and subtype for commits without a recognized type.
+ * @property {ExcludeOptions} [exclude={}] - Rules excluding commits by message, author or committer, paths or trailer, e.g. `{ messages: ['\\[skip ci\\]'], paths: ['CHANGELOG.md'] }`.
+ * @property {MessageRule[]} [messageRules=[]] - Custom rules for the keyword analysis of non-conventional messages, e.g. `[{ name: 'hotfix', type: 'fix', patterns: ['hotfix(es)?'] }]`. See `createMessageRules`.
+ * @property {string} [tagPrefix=''] - Only use tags starting with this prefix followed by a version, e.g. `@scope/pkg@` or `pkg-v`.
+ * @property {string|RegExp|null} [tagPattern=null] - A pattern matching the release tags, whose `version` named group (or first capture group) is the version. See `getTagVersion`.
+ * @property {'semver' | 'calver' | 'date'} [tagSort='semver'] - How to sort the tags. See `compareVersions`.
+ * @property {boolean} [mergeCommits=false] - Whether to use the pull request title from the body of pull request merge commits (e.g. `Merge pull request #42 from org/branch`) as their message.
+ * @property {boolean} [branchCommits=true] - Whether to include the commits of the branches merged by pull request merge commits. Only used with `mergeCommits`.
+ * @property {boolean|SplitSquashCommitsOptions} [squashCommits=false] - Whether to split squash commits into one entry per conventional commit line listed in their body. See `splitSquashCommits`.
+ * @property {boolean} [reverts=false] - Whether to pair revert commits with the commits they revert, dropping both if they are in the same release. See `pairReverts`.
+ * @property {'separate' | 'rollup' | 'hide'} [prereleases='separate'] - How to list prereleases followed by a stable release: as separate releases, folded into the stable release, or hidden along with their commits. See `rollupPrereleases`.
+ * @property {string[]} [paths=[]] - Only include commits touching these paths, e.g. `['packages/pkg']`.
+ * @property {string[]} [scopes=[]] - Only include commits with these scopes. Combined with `paths`, commits matching either are included.
  */
 
 /**
  * Filters and processes repository data to create a structured representation of releases and commits.
  *
+ * If no `octokit` instance is provided, the data is read from the local git checkout instead of the GitHub API.
+ *
  * @async
- * @param {Octokit} octokit - The Octokit instance for making GitHub API calls.
+ * @param {Octokit|null} octokit - The Octokit instance for making GitHub API calls, or null to use the local git checkout.
  * @param {CommitParser} parser - The parser object used to parse commit messages.
  * @param {FilterRepoDataOptions} [options={}] - Configuration options for the function.
  * @returns {Promise<Object>} An object containing structured repository data:
- *   @returns {Array<{name: string, sha: string}>} .tags - Array of tag objects with name and SHA.
+ *   @returns {Array<{name: string, sha: string, version: string}>} .tags - Array of tag objects with name, SHA and version.
  *   @returns {Object.<string, string>} .commits - Object mapping commit SHAs to commit messages.
+ *   @returns {Object.<string, RawCommit>} .rawCommits - Object mapping commit SHAs to raw commits.
  *   @returns {Object.<string, Release>} .releases - Object mapping tag names to Release objects.
  *   @returns {string|null} .headTag - The name of the most recent tag, or null if no tags exist.
+ *   @returns {string|null} .headVersion - The version of the most recent tag, without the tag prefix.
+ *   @returns {Release} .unreleased - The release of commits made after the most recent tag, empty if both `unreleased` and `unreleasedCommits` are off.
+ *   @returns {{messages: number, authors: number, paths: number, trailers: number}} .excluded - The number of commits excluded by each rule of the `exclude` option.
  * @throws {Error} If there's an issue with API requests or data processing.
  */
 async function filterRepoData(octokit, parser, options = {}) {
-	options = { ...{ limit: 500, params: { per_page: 100 }, addDate: true, defaultType: { type: 'feat', subType: 'change' } }, ...options }
+	options = { ...{ limit: 500, params: { per_page: 100 }, addDate: true, unreleased: false, unreleasedCommits: true, defaultType: { type: 'feat', subType: 'change' }, tagPrefix: '', tagPattern: null, tagSort: 'semver', prereleases: 'separate', reverts: false, mergeCommits: false, branchCommits: true, squashCommits: false, paths: [], scopes: [], exclude: {} }, ...options }
+
+	if (!['semver', 'calver', 'date'].includes(options.tagSort)) {
+		throw new Error(`Unsupported tag sort "${options.tagSort}"`)
+	}
+	const messageRules = options.messageRules?.length ? createMessageRules(options.messageRules) : defaultMessageRules
+	const exclude = createExcludeRules(options.exclude)
 
 	const { limit, params } = options
 
+	const fetchData = endpoint => octokit ? getRepoData(octokit, endpoint, { limit, params }) : getLocalRepoData(endpoint)
+
 	const [allCommits, allTags, allReleases] = await Promise.all([
-		getRepoData(octokit, 'listCommits', { limit, params }),
-		getRepoData(octokit, 'listTags', { limit, params }),
-		getRepoData(octokit, 'listReleases', { limit, params }),
+		fetchData('listCommits'),
+		fetchData('listTags'),
+		fetchData('listReleases'),
 	])
 
-	const tags = allTags.filter(tag => semver.valid(tag.name)).map(tag => ({ name: tag.name, sha: tag.commit.sha }))
-	tags.sort((a, b) => semver.compare(b.name, a.name))
+	const tags = allTags.filter(tag => getTagVersion(tag.name, options)).map(tag => ({ name: tag.name, sha: tag.commit.sha, version: getTagVersion(tag.name, options) }))
+	if (options.tagSort === 'date') {
+		const releaseDates = Object.fromEntries(allReleases.map(release => [release.tag_name, release.created_at]))
+		const commitDates = Object.fromEntries(allCommits.map(commit => [commit.sha, commit.commit.committer?.date ?? commit.commit.author?.date]))
+		const getDate = tag => Date.parse(releaseDates[tag.name] ?? commitDates[tag.sha] ?? '') || 0
+		tags.sort((a, b) => getDate(b) - getDate(a) || compareVersions(b.version, a.version, 'calver'))
+	} else {
+		tags.sort((a, b) => compareVersions(b.version, a.version, options.tagSort))
+	}
 	const commits = Object.fromEntries(allCommits.map(commit => [commit.sha, commit.commit.message]))
-	let releases = Object.fromEntries(allReleases.map(({ tag_name, published_at, created_at }) => [tag_name, { date: (published_at || created_at || '').slice(0, 10) }]))
-	releases = Object.fromEntries(tags.map((tag, index) => {
-		const release = tag.name in releases && releases[tag.name] ? releases[tag.name] : {}
+	const rawCommits = Object.fromEntries(allCommits.map(commit => [commit.sha, toRawCommit(commit)]))
+	const headTag = tags.length ? tags[0].name : null
+
+	const { paths, scopes } = options
+	const isFiltered = paths.length || scopes.length
+	const excludedPaths = options.exclude?.paths ?? []
+	let excluded = { messages: 0, authors: 0, paths: 0, trailers: 0 }
+	const getRangeSHAs = (base, head) => {
+		let hashes = getCommitSHAs({ base, head })
+		if (options.mergeCommits && !options.branchCommits) {
+			const branchHashes = new Set(hashes.filter(sha => getMergePullRequest(rawCommits[sha]?.message)).flatMap(sha => getCommitSHAs({ base: `${sha}^1`, head: `${sha}^2` })))
+			hashes = hashes.filter(sha => !branchHashes.has(sha))
+		}
+		if (excludedPaths.length) {
+			// Commits touching any path, but none outside the excluded paths
+			const touchedAny = new Set(getCommitSHAs({ base, head, paths: ['.'] }))
+			const touchedOther = new Set(getCommitSHAs({ base, head, paths: ['.', ...excludedPaths.map(path => `:(exclude)${path}`)] }))
+			const count = hashes.length
+			hashes = hashes.filter(sha => !touchedAny.has(sha) || touchedOther.has(sha))
+			excluded.paths += count - hashes.length
+		}
+		if (!isFiltered) {
+			return hashes
+		}
+		const touched = new Set(paths.length ? getCommitSHAs({ base, head, paths }) : [])
+		return hashes.filter(sha => touched.has(sha) || (scopes.length && rawCommits[sha] && scopes.includes(parser.parse(rawCommits[sha].message).scope)))
+	}
+
+	const ranges = tags.map((tag, index) => {
+		const previous = index < tags.length - 1 ? tags[index + 1]?.name : null
+		return { tag: tag.name, version: tag.version, previous, hashes: getRangeSHAs(previous, tag.name) }
+	})
+	const unreleasedHashes = options.unreleased || options.unreleasedCommits ? getRangeSHAs(headTag, 'HEAD') : []
+
+	const pullRequests = options.pullRequests ? await getPullRequests(octokit, [...ranges.flatMap(range => range.hashes), ...unreleasedHashes].filter(sha => rawCommits[sha]), options) : {}
+
+	const getReleaseCommits = hashes => {
+		let items = hashes.map(sha => rawCommits[sha]).filter(Boolean)
+		if (options.mergeCommits) {
+			items = useMergeCommitTitles(items)
+		}
+		if (options.pullRequests) {
+			items = collapsePullRequests(items, pullRequests)
+		}
+		// Excluded before splitting squash commits, so their trailers apply and each one is counted once
+		items = items.filter(item => {
+			const reason = getExcludeReason(item, exclude)
+			reason && excluded[reason]++
+			return !reason
+		})
+		if (options.squashCommits) {
+			items = splitSquashCommits(items, options.squashCommits === true ? {} : options.squashCommits)
+		}
+		return getCommits(items, parser, { defaultType: options.defaultType, labels: options.labels, rules: messageRules }).groups
+	}
+
+	let releases = Object.fromEntries(allReleases.map(({ id, tag_name, name, body, draft, published_at, created_at }) => [tag_name, {
+		date: (published_at || created_at || '').slice(0, 10),
+		githubRelease: id != null ? { id, name: name ?? null, body: body ?? null, draft: !!draft } : null,
+	}]))
+	releases = Object.fromEntries(ranges.map(({ tag, version, previous, hashes }) => {
+		const release = tag in releases && releases[tag] ? releases[tag] : {}
 		let releaseDate = release?.date || ''
-		if (options.addDate && !releaseDate && tag.name === tags[0].name) {
+		if (options.addDate && !releaseDate && tag === headTag) {
 			releaseDate = (options.addDate === true ? new Date().toISOString().slice(0, 10) : options.addDate)
 		}
-		const hashes = getCommitSHAs({ base: (index < tags.length - 1 ? tags[index + 1]?.name : null), head: tag.name })
 		const messages = hashes.map(sha => commits[sha]).filter(Boolean)
-		let { groups } = getCommits(messages, parser, { defaultType: options.defaultType })
 
-		return [tag.name, { tag: tag.name, name: release?.name ?? null, date: releaseDate, description: getTagMessage(tag.name), messages, commits: groups }]
+		return [tag, { tag, version, name: release?.name ?? null, date: releaseDate, description: getTagMessage(tag), previous, messages, commits: getReleaseCommits(hashes), githubRelease: release?.githubRelease ?? null }]
 	}))
-	const headTag = tags.length ? tags[0].name : null
 
-	return { tags, commits, releases, headTag }
+	let unreleased = {
+		tag: 'HEAD',
+		version: null,
+		name: null,
+		date: '',
+		description: null,
+		previous: headTag,
+		messages: unreleasedHashes.map(sha => commits[sha]).filter(Boolean),
+		commits: getReleaseCommits(unreleasedHashes),
+		unreleased: true,
+	}
+
+	releases = rollupPrereleases(releases, options.prereleases, options)
+
+	if (options.reverts) {
+		const { HEAD, ...paired } = pairReverts({ HEAD: unreleased, ...releases })
+		unreleased = HEAD
+		releases = paired
+	}
+
+	if (options.unreleased) {
+		releases = { HEAD: unreleased, ...releases }
+	}
+
+	return { tags, commits, rawCommits, releases, headTag, headVersion: tags.length ? tags[0].version : null, unreleased, excluded }
+}
+
+/**
+ * @typedef {Object} PackageOptions
+ * @property {string} [tagPrefix] - The prefix of the package's tags. Defaults to the package name followed by `@`, e.g. `@scope/pkg@`.
+ * @property {string[]} [paths=[]] - The paths of the package, only commits touching them are included.
+ * @property {string[]} [scopes=[]] - The commit scopes of the package, commits with them are included even if they don't touch its paths.
+ * @property {string|null} [file] - The file to write the package's changelog to. Defaults to `CHANGELOG.md` in the first path.
+ */
+
+/**
+ * @typedef {Object} Package
+ * @property {string} name - The name of the package.
+ * @property {string|null} file - The file to write the package's changelog to.
+ * @property {Object} options - The options for the package, for `filterRepoData` and `buildChangelog`.
+ */
+
+/**
+ * Resolves the `packages` option of a monorepo into the options of each package.
+ *
+ * Each package's options are merged over the shared options, so any option (e.g. `types`) can be overridden per package.
+ *
+ * @param {{packages?: Object.<string, PackageOptions>}} [options={}] - The shared options, including the `packages` option.
+ * @returns {Package[]} The packages, or an empty array if there is no `packages` option.
+ */
+function getPackages(options = {}) {
+	const { packages = {}, ...shared } = options ?? {}
+
+	return Object.entries(packages ?? {}).map(([name, pkg]) => {
+		pkg = { ...{ tagPrefix: `${name}@`, paths: [], scopes: [], file: null }, ...pkg }
+		const file = pkg.file ?? (pkg.paths.length ? `${pkg.paths[0].replace(/\/+$/, '')}/CHANGELOG.md` : null)
+
+		return { name, file, options: { ...shared, ...pkg } }
+	})
+}
+
+/**
+ * @typedef {Object} PublishReleasesOptions
+ * @property {'overwrite' | 'append' | 'skip'} [mode='skip'] - How to handle GitHub releases that already have a body: replace it, append the notes to it, or leave it alone.
+ * @property {boolean} [draft=true] - Whether the releases created for tags without one are drafts.
+ * @property {boolean} [backfill=false] - Whether to create releases for all the tags without one, instead of only the newest tag.
+ * @property {Object} [params={}] - Parameters for API requests, including the `owner` and `repo`.
+ * @property {BuildChangelogOptions} [build={}] - Options for building the notes of each release.
+ */
+
+/**
+ * @typedef {Object} PublishedRelease
+ * @property {string} tag - The tag name of the release.
+ * @property {'created' | 'updated' | 'skipped' | 'failed'} action - What was done to the GitHub release.
+ * @property {number|null} id - The id of the GitHub release.
+ * @property {string} body - The notes built for the release.
+ * @property {string} [error] - The error message, if publishing the release failed.
+ */
+
+/**
+ * Publishes the notes of each release to its GitHub release, creating a release for the newest tag if it doesn't have one.
+ *
+ * The notes of each release are the `onlyBody` output of `buildChangelog` for that release alone. Releases with empty
+ * notes (e.g. only commits of unlisted types) are skipped, so existing bodies are never wiped. Unreleased releases are never published.
+ * Failures don't stop the other releases from being published, and are returned with the `failed` action.
+ *
+ * @async
+ * @param {Octokit} octokit - The Octokit instance for making GitHub API calls.
+ * @param {Object.<string, Release>} releases - The releases to publish, as returned by `filterRepoData`.
+ * @param {PublishReleasesOptions} [options={}] - Options for publishing the releases.
+ * @returns {Promise<PublishedRelease[]>} What was done for each release.
+ */
+async function publishReleases(octokit, releases, options = {}) {
+	options = { ...{ mode: 'skip', draft: true, backfill: false, params: {}, build: {} }, ...options }
+	const { owner, repo } = options.params
+	const newestTag = Object.keys(releases).find(tag => !releases[tag].unreleased)
+
+	let published = []
+
+	for (const [tag, release] of Object.entries(releases)) {
+		if (release.unreleased) continue
+
+		const body = buildChangelog({ [tag]: release }, { ...options.build, onlyBody: true }).join('\n').trim()
+		const existing = release.githubRelease ?? null
+
+		if (!body || (!existing && !options.backfill && tag !== newestTag)) {
+			published.push({ tag, action: 'skipped', id: existing?.id ?? null, body })
+			continue
+		}
+
+		try {
+			if (!existing) {
+				const { data } = await octokit.rest.repos.createRelease({ owner, repo, tag_name: tag, name: tag, body, draft: options.draft })
+				published.push({ tag, action: 'created', id: data.id, body })
+				continue
+			}
+
+			const current = (existing.body ?? '').trim()
+			let next = body
+			if (current && options.mode === 'append') {
+				next = current.includes(body) ? current : `${current}\n\n${body}`
+			} else if (current && options.mode !== 'overwrite') {
+				next = current
+			}
+
+			if (next === current) {
+				published.push({ tag, action: 'skipped', id: existing.id, body })
+				continue
+			}
+
+			await octokit.rest.repos.updateRelease({ owner, repo, release_id: existing.id, body: next })
+			published.push({ tag, action: 'updated', id: existing.id, body })
+		} catch (error) {
+			published.push({ tag, action: 'failed', id: existing?.id ?? null, body, error: error.message })
+		}
+	}
+
+	return published
 }
 
 /**
  * Retrieves the message for a given tag.
  *
  * @param {string} tagName - The name of the tag to retrieve the message for.
- * @returns {string|null} The tag message, or null if the message is just a valid semver or if there's an error.
+ * @returns {string|null} The tag message, or null if the message is just a valid semver or the tag name, or if there's an error.
  */
 function getTagMessage(tagName) {
 	try {
-		const command = `git for-each-ref refs/tags/${tagName} --format='%(contents:subject)'`
-		const message = execSync(command, { encoding: 'utf-8' }).trim()
+		const args = ['for-each-ref', `refs/tags/${tagName}`, '--format=%(contents:subject)']
+		const message = execFileSync('git', args, { encoding: 'utf-8' }).trim()
 
-		if (!message || semver.valid(message.split(' ').pop())) {
+		if (!message || message === tagName || semver.valid(message.split(' ').pop())) {
 			return null
 		}
 
@@ -691,18 +2518,40 @@ function getTagMessage(tagName) {
 	}
 }
 
+/**
+ * Retrieves the web URL of the repository from the URL of a git remote.
+ *
+ * @param {string} [remote='origin'] - The name of the remote.
+ * @returns {string|null} The web URL of the repository (e.g. `https://github.com/owner/repo`), or null if it can't be determined.
+ */
+function getRepoUrl(remote = 'origin') {
+	try {
+		const args = ['remote', 'get-url', '--', remote]
+		const url = execFileSync('git', args, { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim().replace(/\.git$/, '').replace(/\/+$/, '')
+
+		const match = url.match(/^(?:[a-z][\w+.-]*:\/\/)?(?:[^@/]+@)?([^/:]+)(?::\d+)?[:/](.+)$/i)
+		if (!match) {
+			return null
+		}
+
+		return `https://${match[1]}/${match[2]}`
+	} catch (error) {
+		return null
+	}
+}
+
 /**
  * Retrieves commit SHAs between two tags or commits.
  *
- * @param {{ base: string, head: string }} tags - An object containing the base and head tags or commits.
+ * @param {{ base: string, head: string, paths?: string[] }} tags - An object containing the base and head tags or commits, and optionally the paths the commits must touch.
  * @returns {string[]} An array of commit SHAs.
  */
 function getCommitSHAs(tags) {
 	try {
-		tags = { ...{ base: '', head: 'HEAD' }, ...tags }
+		tags = { ...{ base: '', head: 'HEAD', paths: [] }, ...tags }
 		const range = tags.base ? `${tags.base}..${tags.head}` : tags.head
-		const command = `git rev-list ${range}`
-		const output = execSync(command, { encoding: 'utf-8' })
+		const args = ['rev-list', '--end-of-options', range, ...(tags.paths.length ? ['--', ...tags.paths] : [])]
+		const output = execFileSync('git', args, { encoding: 'utf-8' })
 		return output.trim().split('\n')
 	} catch (error) {
 		console.error('Error executing git command:', error.message)
@@ -710,18 +2559,42 @@ function getCommitSHAs(tags) {
 	}
 }
 
+/**
+ * Retrieves the commits of a revision range, e.g. to lint the commits of a pull request.
+ *
+ * The range is passed to git as is (e.g. `v1.0.0..HEAD` or `main...feature`), and a single revision is read as the range up to `HEAD`.
+ * Commits found in `rawCommits` (e.g. with the GitHub logins from the API) are used as is, the others are read from the local git checkout.
+ *
+ * @param {string} range - The revision range.
+ * @param {Object.<string, RawCommit>} [rawCommits={}] - The known commits, keyed by SHA.
+ * @returns {RawCommit[]} The commits of the range, newest first.
+ * @throws {Error} If git can't resolve the range, e.g. because the base is missing from a shallow checkout.
+ */
+function getRangeCommits(range, rawCommits = {}) {
+	let commits
+	try {
+		commits = getLocalCommits(['--end-of-options', range.includes('..') ? range : `${range}..HEAD`])
+	} catch (error) {
+		throw new Error(`Could not resolve the commit range "${range}": ${error.stderr?.trim().split('\n')[0] || error.message}`)
+	}
+
+	return commits.map(commit => rawCommits[commit.sha] ?? toRawCommit(commit))
+}
+
 /**
  * Groups releases by major or minor version.
  *
  * @param {Object.<string, Release>} releases - The releases to group.
  * @param {'minor' | 'major'} [groupBy='minor'] - Whether to group by minor or major version.
+ * @param {TagOptions} [options={}] - The tag options, to extract the versions of releases without a `version`.
  * @returns {Object.<string, Release>} The grouped releases.
  */
-function groupReleases(releases, groupBy = 'minor') {
+function groupReleases(releases, groupBy = 'minor', options = {}) {
 	let groups = {}
 
 	for (const [version, release] of Object.entries(releases)) {
-		let parts = (semver.coerce(version, { includePrerelease: false }) ?? '').toString().split('.')
+		const releaseVersion = release?.version ?? (options.tagPattern || options.tagPrefix ? getTagVersion(version, options) : version)
+		let parts = (semver.coerce(releaseVersion, { includePrerelease: false }) ?? '').toString().split('.')
 		if (parts.length !== 3) continue
 		parts.pop()
 		if (groupBy.toLowerCase() === 'major') {
@@ -746,18 +2619,166 @@ function groupReleases(releases, groupBy = 'minor') {
 	return groups
 }
 
+/**
+ * Pairs revert commits with the commits they revert, using the hash (or else the header) from the revert message.
+ *
+ * If both commits are in the same release, both are dropped. If the reverted commit is in an earlier release, the revert
+ * is moved to the group of the reverted commit and listed as "Reverted: ...", with a `reverts` back-reference to it.
+ * Reverts whose commit can't be found are left as is.
+ *
+ * @param {Object.<string, Release>} releases - The releases to process, newest first.
+ * @returns {Object.<string, Release>} The processed releases, newest first.
+ */
+function pairReverts(releases) {
+	const entries = Object.entries(releases).map(([tag, release]) => [tag, {
+		...release,
+		commits: Object.fromEntries(Object.entries(release.commits ?? {}).map(([key, items]) => [key, [...items]])),
+	}])
+	const all = entries.flatMap(([tag, release], index) => Object.entries(release.commits).flatMap(([key, items]) => items.map(commit => ({ tag, index, key, commit }))))
+
+	const isHash = (revert, commit) => revert.hash?.length >= 7 && [commit.hash, ...(commit.shas ?? [])].some(sha => sha && (sha.startsWith(revert.hash) || revert.hash.startsWith(sha)))
+	let removed = new Set()
+	let moved = []
+
+	for (const item of [...all].reverse()) {
+		const { revert } = item.commit
+		if (item.key !== 'revert' || !revert || removed.has(item)) continue
+
+		const candidates = all.filter(other => other !== item && !removed.has(other) && other.index >= item.index)
+		const target = candidates.find(other => isHash(revert, other.commit)) ?? (revert.header ? candidates.find(other => other.commit.header === revert.header) : null)
+		if (!target) continue
+
+		removed.add(item)
+		if (target.index === item.index) {
+			removed.add(target)
+			continue
+		}
+
+		const { type, subType, scope } = target.commit
+		moved.push({
+			index: item.index,
+			key: target.key,
+			commit: { ...item.commit, type, subType, scope, subject: `Reverted: ${target.commit.subject ?? target.commit.header}`, reverts: { hash: target.commit.hash ?? null, tag: target.tag } },
+		})
+	}
+
+	for (const item of removed) {
+		const items = entries[item.index][1].commits[item.key]
+		items.splice(items.indexOf(item.commit), 1)
+		items.length || delete entries[item.index][1].commits[item.key]
+	}
+	for (const { index, key, commit } of moved) {
+		entries[index][1].commits[key] ??= []
+		entries[index][1].commits[key].push(commit)
+	}
+
+	return Object.fromEntries(entries)
+}
+
+/**
+ * Applies a prerelease strategy to releases, folding or hiding the prereleases that are followed by a stable release.
+ *
+ * With `rollup`, the commits of the prereleases are moved into the stable release that follows them (e.g. `2.0.0-beta.1`
+ * through `2.0.0-rc.3` into `2.0.0`), which then spans from the stable release before them. `hide` drops those prereleases
+ * and their commits, leaving the stable release as is. Prereleases not yet followed by a stable release are always kept.
+ *
+ * @param {Object.<string, Release>} releases - The releases to process, newest first.
+ * @param {'separate' | 'rollup' | 'hide'} [strategy='rollup'] - The prerelease strategy. `separate` returns the releases as is.
+ * @param {TagOptions} [options={}] - The tag options, to extract the versions of releases without a `version`.
+ * @returns {Object.<string, Release>} The processed releases, newest first.
+ * @throws {Error} If the strategy is not supported.
+ */
+function rollupPrereleases(releases, strategy = 'rollup', options = {}) {
+	if (!['separate', 'rollup', 'hide'].includes(strategy)) {
+		throw new Error(`Unsupported prerelease strategy "${strategy}"`)
+	}
+	if (strategy === 'separate') {
+		return releases
+	}
+
+	const isPrerelease = (tag, release) => {
+		const version = release?.version ?? (options.tagPattern || options.tagPrefix ? getTagVersion(tag, options) : tag)
+		return !release?.unreleased && !!(version && semver.valid(version) && semver.prerelease(version))
+	}
+
+	let pending = []
+	let result = []
+
+	for (const [tag, release] of Object.entries(releases).reverse()) {
+		if (isPrerelease(tag, release)) {
+			pending.push([tag, release])
+			continue
+		}
+		if (pending.length && !release.unreleased && strategy === 'hide') {
+			result.push([tag, release])
+			pending = []
+			continue
+		}
+		if (pending.length && !release.unreleased) {
+			let commits = Object.fromEntries(Object.entries(release.commits ?? {}).map(([type, items]) => [type, [...items]]))
+			let messages = [...(release.messages ?? [])]
+			for (const [, prerelease] of [...pending].reverse()) {
+				for (const [type, items] of Object.entries(prerelease.commits ?? {})) {
+					commits[type] ??= []
+					commits[type].push(...items)
+				}
+				messages.push(...(prerelease.messages ?? []))
+			}
+			result.push([tag, { ...release, previous: pending[0][1].previous ?? release.previous ?? null, messages, commits }])
+			pending = []
+			continue
+		}
+		result.push(...pending, [tag, release])
+		pending = []
+	}
+	result.push(...pending)
+
+	return Object.fromEntries(result.reverse())
+}
+
 export {
+	defaultParserOptions,
+	createParserOptions,
+	getTagVersion,
+	compareVersions,
 	findPreviousVersion,
+	defaultMessageRules,
+	createMessageRules,
 	getMessageType,
+	explainMessageType,
+	getLabelType,
+	getExcludeReason,
 	parseCommitMessage,
 	createSortGroupKeys,
+	getCoAuthors,
 	getCommits,
 	getNotices,
+	lintCommits,
+	formatLintReport,
+	getNextVersion,
+	setFileVersion,
+	getContributors,
+	buildChangelogModel,
+	renderTemplate,
+	renderers,
 	buildChangelog,
+	parseChangelogSections,
+	mergeChangelog,
 	getRepoData,
+	getLocalRepoData,
+	getPullRequests,
+	collapsePullRequests,
+	getMergePullRequest,
+	splitSquashCommits,
+	getPackages,
+	publishReleases,
 	filterRepoData,
 	getCommitSHAs,
+	getRangeCommits,
+	getRepoUrl,
 	groupReleases,
+	rollupPrereleases,
+	pairReverts,
 	getBooleanInput,
 	escapeHTML,
 }
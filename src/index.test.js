@@ -1,5 +1,8 @@
 import { describe, it, expect } from 'vitest'
-import { findPreviousVersion, groupReleases } from './index' // Adjust the import path as needed
+import * as fs from 'fs'
+import { CommitParser } from 'conventional-commits-parser'
+import { findPreviousVersion, groupReleases, rollupPrereleases, pairReverts, getTagVersion, compareVersions, getLocalRepoData, getCommitSHAs, getRangeCommits, getPullRequests, filterRepoData, buildChangelog, getNotices, getNextVersion, mergeChangelog, buildChangelogModel, renderTemplate, getContributors, getCoAuthors, getCommits, createParserOptions, getMessageType, explainMessageType, createMessageRules, defaultMessageRules, getLabelType, getExcludeReason, lintCommits, formatLintReport, splitSquashCommits, publishReleases, setFileVersion, getPackages } from './index' // Adjust the import path as needed
+import { useTempRepo } from './test-utils'
 
 describe('findPreviousVersion', () => {
 	const versions = [
@@ -118,9 +121,212 @@ describe('findPreviousVersion', () => {
 			expect(findPreviousVersion(versionsWithPreRelease, '1.0.0', 'MAJOR')).toBe('1.0.0')
 		})
 	})
+
+	describe('Tag patterns', () => {
+		it('should find the previous tag using the tag pattern', () => {
+			const tags = ['release-2024.9', 'release-2024.10', 'release-2025.1', 'other-2024.11']
+			const options = { tagPattern: '^release-(\\d+\\.\\d+)$' }
+
+			expect(findPreviousVersion(tags, 'release-2024.10', 'PATCH', options)).toBe('release-2024.9')
+			expect(findPreviousVersion(tags, 'release-2024.10', 'MAJOR', options)).toBe('release-2024.9')
+			expect(findPreviousVersion(tags, 'release-2025.1', 'MINOR', options)).toBe('release-2025.1')
+		})
+
+		it('should find the previous tag using the tag prefix', () => {
+			expect(findPreviousVersion(['app/1.3.0', 'app/1.4.0', 'lib/1.3.5'], 'app/1.4.0', 'PATCH', { tagPrefix: 'app/' })).toBe('app/1.3.0')
+		})
+
+		it('should order the versions by the tag sort', () => {
+			const versions = ['0.9.0', '1.0.0', '1.0.0-beta']
+
+			expect(findPreviousVersion(versions, '1.0.0-beta', 'PATCH')).toBe('0.9.0')
+			expect(findPreviousVersion(versions, '1.0.0-beta', 'PATCH', { tagSort: 'calver' })).toBe('1.0.0')
+		})
+	})
+})
+
+describe('rollupPrereleases', () => {
+	const release = (tag, previous, subject) => ({ tag, previous, date: '', messages: [`feat: ${subject}`], commits: { feat_add: [{ subject }] } })
+	const releases = {
+		'v2.1.0-beta.1': release('v2.1.0-beta.1', 'v2.0.0', 'next'),
+		'v2.0.0': release('v2.0.0', 'v2.0.0-rc.1', 'final'),
+		'v2.0.0-rc.1': release('v2.0.0-rc.1', 'v2.0.0-beta.1', 'candidate'),
+		'v2.0.0-beta.1': release('v2.0.0-beta.1', 'v1.0.0', 'beta'),
+		'v1.0.0': release('v1.0.0', null, 'stable'),
+	}
+
+	it('should keep prereleases separate', () => {
+		expect(rollupPrereleases(releases, 'separate')).toBe(releases)
+	})
+
+	it('should fold prereleases into the following stable release', () => {
+		const result = rollupPrereleases(releases, 'rollup')
+
+		expect(Object.keys(result)).toEqual(['v2.1.0-beta.1', 'v2.0.0', 'v1.0.0'])
+		expect(result['v2.0.0'].previous).toBe('v1.0.0')
+		expect(result['v2.0.0'].commits.feat_add.map(commit => commit.subject)).toEqual(['final', 'candidate', 'beta'])
+		expect(result['v2.0.0'].messages).toEqual(['feat: final', 'feat: candidate', 'feat: beta'])
+		expect(releases['v2.0.0'].commits.feat_add).toHaveLength(1)
+	})
+
+	it('should hide prereleases followed by a stable release, along with their commits', () => {
+		const result = rollupPrereleases(releases, 'hide')
+
+		expect(Object.keys(result)).toEqual(['v2.1.0-beta.1', 'v2.0.0', 'v1.0.0'])
+		expect(result['v2.0.0']).toBe(releases['v2.0.0'])
+		expect(result['v2.0.0'].commits.feat_add.map(commit => commit.subject)).toEqual(['final'])
+	})
+
+	it('should use the tag options to find the versions', () => {
+		const result = rollupPrereleases({ 'app/1.0.0': release('app/1.0.0', 'app/1.0.0-rc.1', 'final'), 'app/1.0.0-rc.1': release('app/1.0.0-rc.1', null, 'candidate') }, 'rollup', { tagPrefix: 'app/' })
+
+		expect(Object.keys(result)).toEqual(['app/1.0.0'])
+	})
+
+	it('should throw for unsupported strategies', () => {
+		expect(() => rollupPrereleases(releases, 'merge')).toThrow('Unsupported prerelease strategy "merge"')
+	})
+})
+
+describe('splitSquashCommits', () => {
+	const parser = new CommitParser()
+	const squash = {
+		sha: 'a'.repeat(40),
+		message: 'Add exports (#42)\n\n* feat: add csv export\n* fix: escape quotes\n* fixup! fix: escape quotes\n* fix: wip\n* Update readme\n- fix(api): handle empty rows\n\nCo-authored-by: Jane Doe <jane@example.com>',
+		author: { name: 'John', email: 'john@example.com', login: null },
+	}
+
+	it('should split the conventional lines of the body into commits', () => {
+		const commits = splitSquashCommits([squash, { sha: 'b'.repeat(40), message: 'fix: plain commit\n\n* not a list of commits' }])
+
+		expect(commits.map(commit => commit.message)).toEqual(['feat: add csv export', 'fix: escape quotes', 'fix(api): handle empty rows', 'fix: plain commit\n\n* not a list of commits'])
+		expect(commits[0]).toMatchObject({ sha: squash.sha, pullRequest: { number: 42, title: 'Add exports' }, coAuthors: [{ name: 'Jane Doe', email: 'jane@example.com', login: null }] })
+	})
+
+	it('should keep a different conventional header', () => {
+		const commits = splitSquashCommits([{ message: 'feat: exports\n\n* feat: exports\n* fix: escape quotes' }, { message: 'feat: imports (#7)\n\n* fix: parse dates' }])
+
+		expect(commits.map(commit => commit.message)).toEqual(['feat: exports', 'fix: escape quotes', 'feat: imports', 'fix: parse dates'])
+	})
+
+	it('should keep the breaking changes of the squash commit on the first entry', () => {
+		const breaking = splitSquashCommits([{ message: 'Rework exports (#9)\n\n* feat: stream exports\n* fix: escape quotes\n\nBREAKING CHANGE: exports are streamed\nRefs: #8' }])
+		const bang = splitSquashCommits([{ message: 'feat!: rework exports\n\n* fix: escape quotes' }])
+
+		expect(breaking.map(commit => commit.message)).toEqual(['feat: stream exports\n\nBREAKING CHANGE: exports are streamed\nRefs: #8', 'fix: escape quotes'])
+		expect(bang.map(commit => commit.message)).toEqual(['feat!: rework exports\n\nBREAKING CHANGE: rework exports', 'fix: escape quotes'])
+
+		const { commits, groups } = getCommits(breaking, parser)
+		const changelog = buildChangelog({ '1.0.0': { commits: groups } }, { onlyBody: true }).join('\n')
+		expect(getNextVersion(commits, '1.2.3').type).toBe('major')
+		expect(changelog.match(/- exports are streamed/g)).toHaveLength(1)
+	})
+
+	it('should drop custom noise lines', () => {
+		const commits = splitSquashCommits([{ message: 'Title\n\n* feat: add x\n* fix: lint' }], { noise: ['^lint$'] })
+
+		expect(commits.map(commit => commit.message)).toEqual(['feat: add x'])
+	})
+
+	it('should create one entry per line, linked to the parent commit and pull request', () => {
+		const { groups } = getCommits(splitSquashCommits([squash]), parser)
+		const lines = buildChangelog({ '1.0.0': { commits: groups } }, { repoUrl: 'https://github.com/o/r', links: true, onlyBody: true, templates: { group: '' } })
+
+		expect(lines).toContain(`- add csv export ([#42](https://github.com/o/r/pull/42)) ([aaaaaaa](https://github.com/o/r/commit/${squash.sha}))`)
+		expect(lines.filter(line => line.startsWith('- '))).toHaveLength(3)
+	})
+})
+
+describe('pairReverts', () => {
+	const parser = new CommitParser()
+	const hashes = { feature: 'a'.repeat(40), fix: 'b'.repeat(40), old: 'c'.repeat(40), missing: 'd'.repeat(40) }
+	const revert = (header, hash) => `Revert "${header}"\n\nThis reverts commit ${hash}.`
+	const release = (tag, previous, items) => ({ tag, previous, messages: items.map(item => item.message), commits: getCommits(items, parser).groups })
+	const getReleases = () => ({
+		'1.1.0': release('1.1.0', '1.0.0', [
+			{ sha: 'e'.repeat(40), message: revert('feat: add feature', hashes.feature) },
+			{ sha: hashes.feature, message: 'feat: add feature' },
+			{ sha: 'f'.repeat(40), message: revert('fix: old fix', hashes.old.slice(0, 7)) },
+			{ sha: '1'.repeat(40), message: revert('fix: unknown fix', hashes.missing) },
+			{ sha: hashes.fix, message: 'fix: kept fix' },
+		]),
+		'1.0.0': release('1.0.0', null, [{ sha: hashes.old, message: 'fix(api): old fix' }]),
+	})
+
+	it('should drop reverts and their commits in the same release', () => {
+		const releases = pairReverts(getReleases())
+
+		expect(releases['1.1.0'].commits.feat_change).toBeUndefined()
+		expect(releases['1.1.0'].commits.fix.map(commit => commit.subject)).toEqual(['kept fix', 'Reverted: old fix'])
+	})
+
+	it('should list reverts of earlier releases with a back-reference', () => {
+		const releases = pairReverts(getReleases())
+		const reverted = releases['1.1.0'].commits.fix[1]
+
+		expect(reverted).toMatchObject({ type: 'fix', scope: 'api', reverts: { hash: hashes.old, tag: '1.0.0' } })
+		expect(releases['1.0.0'].commits.fix).toHaveLength(1)
+		expect(releases['1.1.0'].commits.revert.map(commit => commit.revert.header)).toEqual(['fix: unknown fix'])
+
+		const lines = buildChangelog(releases, { repoUrl: 'https://github.com/o/r', links: { commits: true }, templates: { entry: '{{subject}}{{#reverts}} (reverts {{reverts}}){{/reverts}}' }, onlyBody: true })
+		expect(lines).toContain(`  - Reverted: old fix (reverts [ccccccc](https://github.com/o/r/commit/${hashes.old}) in 1.0.0)`)
+	})
+
+	it('should match reverts by header if the hash is not found', () => {
+		const releases = pairReverts({ '1.0.0': release('1.0.0', null, [{ message: revert('feat: add feature', hashes.missing) }, { sha: hashes.feature, message: 'feat: add feature' }]) })
+
+		expect(releases['1.0.0'].commits).toEqual({})
+	})
+})
+
+describe('getTagVersion', () => {
+	it.each([
+		['1.2.3', {}, '1.2.3'],
+		['v1.2.3', {}, 'v1.2.3'],
+		['v1.2', {}, null],
+		['pkg-v1.2.3', { tagPrefix: 'pkg-v' }, '1.2.3'],
+		['pkg-v1.2', { tagPrefix: 'pkg-v' }, null],
+		['v1.2', { tagPattern: '^v(\\d+\\.\\d+)$' }, '1.2'],
+		['app/1.4.0', { tagPattern: /^app\/(?<version>.+)$/ }, '1.4.0'],
+		['release-2024.10', { tagPattern: '/^release-(\\d{4}\\.\\d+)$/' }, '2024.10'],
+		['Release-1.0', { tagPattern: '/^release-(.+)$/i' }, '1.0'],
+		['release-2024.10', { tagPattern: '^release-\\d{4}\\.\\d+$' }, 'release-2024.10'],
+		['nightly', { tagPattern: '^release-(.+)$' }, null],
+	])('should extract the version of %s with %j', (tag, options, expected) => {
+		expect(getTagVersion(tag, options)).toBe(expected)
+	})
+
+	it('should throw for an invalid tag pattern', () => {
+		expect(() => getTagVersion('v1.2', { tagPattern: '/^v(/' })).toThrow('Invalid option "tagPattern"')
+		expect(() => getTagVersion('v1.2', { tagPattern: '^v(' })).toThrow('Invalid option "tagPattern"')
+	})
+})
+
+describe('compareVersions', () => {
+	it('should sort semver versions, coercing partial versions', () => {
+		expect(['1.10.0', 'v1.2', '1.2.1', '1.2.0-beta.1'].sort((a, b) => compareVersions(a, b))).toEqual(['1.2.0-beta.1', 'v1.2', '1.2.1', '1.10.0'])
+	})
+
+	it('should sort calendar versions by their numeric parts', () => {
+		expect(['2024.10', '2024.9', '2023.12.1', '2024.9.1'].sort((a, b) => compareVersions(a, b, 'calver'))).toEqual(['2023.12.1', '2024.9', '2024.9.1', '2024.10'])
+	})
+
+	it('should throw for unsupported sorts', () => {
+		expect(() => compareVersions('1', '2', 'alpha')).toThrow('Unsupported version sort "alpha"')
+	})
 })
 
 describe('groupReleases', () => {
+	it('should group releases by the version of their tag', () => {
+		const releases = {
+			'app/1.4.1': { version: '1.4.1', messages: [], commits: {} },
+			'app/1.4.0': { messages: [], commits: {} },
+			'app/1.3.0': { messages: [], commits: {} },
+		}
+
+		expect(Object.keys(groupReleases(releases, 'minor', { tagPrefix: 'app/' }))).toEqual(['1.4', '1.3'])
+	})
+
 	it('should group releases by minor version by default', () => {
 		const releases = {
 			'1.2.3': { name: 'Release 1', date: '2023-01-01', messages: ['Fix bug'], commits: { fix: [{ subject: 'Fix bug' }] } },
@@ -286,4 +492,1098 @@ describe('groupReleases', () => {
 			chore: [{ subject: 'Update dependencies' }],
 		})
 	})
-})
\ No newline at end of file
+})
+describe('filterRepoData (local git)', () => {
+	const parser = new CommitParser()
+
+	const { git } = useTempRepo(({ git, commit }) => {
+		commit('feat: initial feature')
+		git('tag 1.0.0')
+		commit('fix: first bug')
+		commit('feat: second feature')
+		git('tag -a 1.1.0 -m "Second release"')
+		commit('fix: unreleased bug')
+	})
+
+	it('should read commits, tags and releases from the checkout', async () => {
+		const { tags, commits, releases, headTag } = await filterRepoData(null, parser)
+
+		expect(headTag).toBe('1.1.0')
+		expect(tags.map(tag => tag.name)).toEqual(['1.1.0', '1.0.0'])
+		expect(Object.values(commits)).toHaveLength(4)
+		expect(Object.keys(releases)).toEqual(['1.1.0', '1.0.0'])
+		expect(releases['1.1.0'].messages).toEqual(['feat: second feature', 'fix: first bug'])
+		expect(releases['1.1.0'].description).toBe('Second release')
+		expect(releases['1.1.0'].commits.fix[0].subject).toBe('first bug')
+		expect(releases['1.1.0'].previous).toBe('1.0.0')
+		expect(releases['1.0.0'].previous).toBeNull()
+		expect(releases['1.0.0'].messages).toEqual(['feat: initial feature'])
+		expect(releases['1.0.0'].date).toMatch(/^\d{4}-\d{2}-\d{2}$/)
+		expect(releases['1.0.0'].githubRelease).toBeNull()
+	})
+
+	it('should collect commits after the latest tag into an unreleased release', async () => {
+		const { releases, unreleased } = await filterRepoData(null, parser, { unreleased: true })
+
+		expect(unreleased.messages).toEqual(['fix: unreleased bug'])
+		expect(Object.keys(releases)).toEqual(['HEAD', '1.1.0', '1.0.0'])
+		expect(releases.HEAD).toBe(unreleased)
+
+		const lines = buildChangelog(releases, { unreleased: 'Upcoming' })
+		expect(lines.filter(line => line.startsWith('## '))).toEqual(['## Upcoming', expect.stringMatching(/^## 1\.1\.0/), expect.stringMatching(/^## 1\.0\.0/)])
+	})
+
+	it('should only add the unreleased release when requested', async () => {
+		const { releases, unreleased } = await filterRepoData(null, parser)
+
+		expect(Object.keys(releases)).toEqual(['1.1.0', '1.0.0'])
+		expect(unreleased.commits.fix[0].subject).toBe('unreleased bug')
+	})
+
+	it('should skip the unreleased commits when they are not needed', async () => {
+		const { releases, unreleased } = await filterRepoData(null, parser, { unreleasedCommits: false })
+
+		expect(Object.keys(releases)).toEqual(['1.1.0', '1.0.0'])
+		expect(unreleased).toMatchObject({ tag: 'HEAD', messages: [], commits: {} })
+		expect((await filterRepoData(null, parser, { unreleased: true, unreleasedCommits: false })).releases.HEAD.commits.fix).toHaveLength(1)
+	})
+
+	it('should point annotated tags to their commits', () => {
+		const tags = getLocalRepoData('listTags')
+		const head = git('rev-parse HEAD~1').trim()
+
+		expect(tags.find(tag => tag.name === '1.1.0').commit.sha).toBe(head)
+	})
+
+	it('should read the commits of the branch and tags in the shape of the API', () => {
+		const commits = getLocalRepoData('listCommits')
+
+		expect(commits.map(commit => commit.commit.message).sort()).toEqual(['feat: initial feature', 'feat: second feature', 'fix: first bug', 'fix: unreleased bug'])
+		expect(commits.find(commit => commit.sha === git('rev-parse HEAD').trim())).toMatchObject({ commit: { message: 'fix: unreleased bug', author: { name: 'Test', email: 'test@example.com' } }, author: null })
+	})
+
+	it('should collapse the commits of a pull request into one entry', async () => {
+		const [second, first] = git('rev-list 1.0.0..1.1.0').trim().split('\n')
+		const pr = { number: 7, title: 'feat: pull request feature', body: 'Details', labels: [{ name: 'enhancement' }], html_url: 'https://github.com/o/r/pull/7', user: { login: 'octocat' } }
+		const { releases } = await filterRepoData(null, parser, { pullRequests: { [first]: pr, [second]: pr } })
+		const [commit] = releases['1.1.0'].commits.feat_change
+
+		expect(releases['1.1.0'].commits.fix).toBeUndefined()
+		expect(commit.subject).toBe('pull request feature')
+		expect(commit.shas).toEqual([second, first])
+		expect(commit.author.login).toBe('octocat')
+		expect(commit.pullRequest).toMatchObject({ number: 7, labels: ['enhancement'], author: 'octocat' })
+		expect(releases['1.1.0'].messages).toEqual(['feat: second feature', 'fix: first bug'])
+
+		const lines = buildChangelog(releases, { repoUrl: 'https://github.com/o/r', links: true, onlyBody: true })
+		expect(lines).toContain('- pull request feature ([#7](https://github.com/o/r/pull/7)) ([' + second.slice(0, 7) + '](https://github.com/o/r/commit/' + second + '))')
+	})
+
+	it('should resolve pull requests with a custom resolver', async () => {
+		const resolved = []
+		const resolvePullRequest = async sha => {
+			resolved.push(sha)
+			return null
+		}
+		const { releases } = await filterRepoData(null, parser, { pullRequests: true, resolvePullRequest })
+
+		expect(resolved).toHaveLength(4)
+		expect(releases['1.1.0'].commits.fix[0].pullRequest).toBeNull()
+	})
+
+	it('should report the pull requests that fail to resolve', async () => {
+		const head = git('rev-parse HEAD').trim()
+		const resolvePullRequest = async sha => {
+			if (sha === head) {
+				throw new Error('Not Found')
+			}
+			return null
+		}
+
+		await expect(filterRepoData(null, parser, { pullRequests: true, resolvePullRequest, concurrency: 2 })).rejects.toThrow(`Failed to resolve the pull requests of commits ${head.slice(0, 7)} (Not Found)`)
+	})
+
+	it('should throw for a concurrency that is not a positive integer', async () => {
+		const resolvePullRequest = async () => null
+
+		for (const concurrency of [0, -1, 1.5, '2', NaN]) {
+			await expect(getPullRequests(null, ['abc'], { resolvePullRequest, concurrency })).rejects.toThrow(`Invalid concurrency "${concurrency}", expected a positive integer`)
+		}
+		await expect(getPullRequests(null, ['abc'], { resolvePullRequest, concurrency: 1 })).resolves.toEqual({})
+	})
+})
+
+describe('getLabelType', () => {
+	const mapping = { bug: 'fix', Enhancement: 'feat_add', feature: { type: 'feat', subType: 'change' }, breaking: 'breaking', 'skip-changelog': false }
+
+	it.each([
+		[['bug'], { type: { type: 'fix' }, skip: false, breaking: false }],
+		[['enhancement'], { type: { type: 'feat', subType: 'add' }, skip: false, breaking: false }],
+		[['feature', 'bug'], { type: { type: 'fix' }, skip: false, breaking: false }],
+		[['Breaking', 'feature'], { type: { type: 'feat', subType: 'change' }, skip: false, breaking: true }],
+		[['skip-changelog', 'bug'], { type: { type: 'fix' }, skip: true, breaking: false }],
+		[['question'], { type: null, skip: false, breaking: false }],
+		[[], { type: null, skip: false, breaking: false }],
+	])('should map the labels %j', (labels, expected) => {
+		expect(getLabelType(labels, mapping)).toEqual(expected)
+	})
+})
+
+describe('getCommits (labels)', () => {
+	const parser = new CommitParser()
+	const labels = { bug: 'fix', enhancement: 'feat_add', breaking: 'breaking', 'skip-changelog': false }
+	const withLabels = (message, ...names) => ({ sha: message, message, pullRequest: { number: 1, title: message, labels: names } })
+
+	it('should let labels take precedence over the keyword analysis', () => {
+		const { groups } = getCommits([withLabels('Update the parser', 'bug'), withLabels('Update the docs', 'enhancement')], parser, { labels })
+
+		expect(groups.fix.map(commit => commit.header)).toEqual(['Update the parser'])
+		expect(groups.feat_add.map(commit => commit.header)).toEqual(['Update the docs'])
+	})
+
+	it('should let conventional headers take precedence over labels', () => {
+		const { groups } = getCommits([withLabels('feat: new parser', 'bug')], parser, { labels })
+
+		expect(Object.keys(groups)).toEqual(['feat_change'])
+	})
+
+	it('should drop commits with a skip label', () => {
+		const { commits } = getCommits([withLabels('fix: hidden', 'skip-changelog'), withLabels('fix: shown')], parser, { labels })
+
+		expect(commits.map(commit => commit.subject)).toEqual(['shown'])
+	})
+
+	it('should mark commits with a breaking label as breaking changes', () => {
+		const { commits } = getCommits([withLabels('Rework the API', 'breaking', 'enhancement')], parser, { labels })
+
+		expect(getNotices(commits[0], 'BREAKING CHANGES', /^BREAKING[ -]CHANGE$/)).toEqual(['Rework the API'])
+		expect(getNextVersion(commits, '1.2.3').type).toBe('major')
+	})
+})
+
+describe('lintCommits', () => {
+	const parser = new CommitParser()
+	const lint = (...messages) => lintCommits(getCommits(messages.map((message, i) => ({ sha: `${i}`.repeat(8), message })), parser, { defaultType: { type: 'feat', subType: 'change' } }).commits)
+
+	it('should pass conventional, merge and revert commits', () => {
+		const report = lint('feat: new parser', "Merge branch 'main' into dev", 'Revert "feat: new parser"\n\nThis reverts commit abc1234.')
+
+		expect(report.valid).toBe(true)
+		expect(report.total).toBe(3)
+		expect(report.counts).toMatchObject({ conventional: 1, merge: 1, revert: 1 })
+	})
+
+	it('should report guessed and defaulted commits with the type they ended up with', () => {
+		const report = lint('fix: ok', 'Fixed the parser', 'feature: new parser', 'Some work')
+
+		expect(report.valid).toBe(false)
+		expect(report.counts).toMatchObject({ conventional: 1, keyword: 1, default: 2 })
+		expect(report.problems.map(({ header, reason, typeSource, type }) => ({ header, reason, typeSource, type }))).toEqual([
+			{ header: 'Fixed the parser', reason: 'Not a conventional commit', typeSource: 'keyword', type: 'fix' },
+			{ header: 'feature: new parser', reason: 'Unknown type "feature"', typeSource: 'default', type: 'feat_change' },
+			{ header: 'Some work', reason: 'Not a conventional commit', typeSource: 'default', type: 'feat_change' },
+		])
+	})
+
+	it('should pass commits typed by a pull request label', () => {
+		const { commits } = getCommits([{ sha: 'a', message: 'Update the parser', pullRequest: { number: 1, labels: ['bug'] } }], parser, { labels: { bug: 'fix' } })
+
+		expect(lintCommits(commits)).toMatchObject({ valid: true, counts: { label: 1 } })
+	})
+
+	it('should format the report as Markdown or JSON', () => {
+		const report = lint('feat: ok', 'Some | work')
+
+		expect(formatLintReport(report)).toBe(`# Commit Lint Report
+
+1 of 2 commits passed.
+
+| Commit | Message | Problem | Typed as |
+|--------|---------|---------|----------|
+| \`1111111\` | Some \\| work | Not a conventional commit | \`feat_change\` (default) |
+`)
+		expect(JSON.parse(formatLintReport(report, 'json'))).toEqual(report)
+		expect(() => formatLintReport(report, 'xml')).toThrow('Unsupported report format "xml"')
+	})
+})
+
+describe('publishReleases', () => {
+	const parser = new CommitParser()
+	const release = (tag, previous, githubRelease = null) => ({ tag, previous, date: '2024-01-01', githubRelease, commits: getCommits([`fix: bug in ${tag}`], parser).groups })
+	const getOctokit = () => {
+		const calls = []
+		return {
+			calls,
+			rest: {
+				repos: {
+					createRelease: async params => calls.push(['create', params]) && { data: { id: 99 } },
+					updateRelease: async params => calls.push(['update', params]) && { data: {} },
+				},
+			},
+		}
+	}
+	const params = { owner: 'o', repo: 'r' }
+
+	it('should create draft releases for tags without one', async () => {
+		const octokit = getOctokit()
+		const published = await publishReleases(octokit, { '1.0.0': release('1.0.0', null), HEAD: { ...release('HEAD', '1.0.0'), unreleased: true } }, { params })
+
+		expect(published).toEqual([{ tag: '1.0.0', action: 'created', id: 99, body: '### Fixed\n\n- bug in 1.0.0' }])
+		expect(octokit.calls).toEqual([['create', { owner: 'o', repo: 'r', tag_name: '1.0.0', name: '1.0.0', body: '### Fixed\n\n- bug in 1.0.0', draft: true }]])
+	})
+
+	it.each([
+		['skip', 'Manual notes', []],
+		['overwrite', 'Manual notes', [['update', { owner: 'o', repo: 'r', release_id: 1, body: '### Fixed\n\n- bug in 1.1.0' }]]],
+		['append', 'Manual notes', [['update', { owner: 'o', repo: 'r', release_id: 1, body: 'Manual notes\n\n### Fixed\n\n- bug in 1.1.0' }]]],
+		['append', 'Manual notes\n\n### Fixed\n\n- bug in 1.1.0', []],
+		['skip', '', [['update', { owner: 'o', repo: 'r', release_id: 1, body: '### Fixed\n\n- bug in 1.1.0' }]]],
+	])('should handle existing bodies in %s mode', async (mode, body, calls) => {
+		const octokit = getOctokit()
+		await publishReleases(octokit, { '1.1.0': release('1.1.0', '1.0.0', { id: 1, name: null, body, draft: false }) }, { mode, params })
+
+		expect(octokit.calls).toEqual(calls)
+	})
+
+	it('should build the notes with the given options', async () => {
+		const octokit = getOctokit()
+		const [published] = await publishReleases(octokit, { '1.0.0': release('1.0.0', null) }, { params, build: { types: { fix: 'Bug Fixes' } } })
+
+		expect(published.body).toBe('### Bug Fixes\n\n- bug in 1.0.0')
+	})
+
+	it('should never publish empty notes', async () => {
+		const octokit = getOctokit()
+		const chores = { tag: '1.1.0', previous: '1.0.0', date: '2024-01-01', githubRelease: { id: 1, name: null, body: 'Manual notes', draft: false }, commits: getCommits(['chore: deps'], parser).groups }
+		const published = await publishReleases(octokit, { '1.1.0': chores }, { mode: 'overwrite', params })
+
+		expect(published).toEqual([{ tag: '1.1.0', action: 'skipped', id: 1, body: '' }])
+		expect(octokit.calls).toEqual([])
+	})
+
+	it('should only create a release for the newest tag, unless backfilling', async () => {
+		const releases = { '1.1.0': release('1.1.0', '1.0.0'), '1.0.0': release('1.0.0', null) }
+		const octokit = getOctokit()
+		const published = await publishReleases(octokit, releases, { params })
+
+		expect(published.map(({ tag, action }) => [tag, action])).toEqual([['1.1.0', 'created'], ['1.0.0', 'skipped']])
+		expect((await publishReleases(getOctokit(), releases, { params, backfill: true })).map(({ action }) => action)).toEqual(['created', 'created'])
+	})
+
+	it('should return the failures', async () => {
+		const octokit = getOctokit()
+		octokit.rest.repos.createRelease = async () => {
+			throw new Error('Bad credentials')
+		}
+		const published = await publishReleases(octokit, { '1.0.0': release('1.0.0', null) }, { params })
+
+		expect(published).toEqual([{ tag: '1.0.0', action: 'failed', id: null, body: '### Fixed\n\n- bug in 1.0.0', error: 'Bad credentials' }])
+	})
+})
+
+describe('filterRepoData (monorepo)', () => {
+	const parser = new CommitParser()
+
+	const { git } = useTempRepo(({ git, change }) => {
+		change('packages/core/index.js', 'feat: core feature')
+		change('packages/cli/index.js', 'feat: cli feature')
+		git('tag @scope/core@1.0.0')
+		git('tag cli-v1.0.0')
+		git('tag 1.0.0')
+		change('packages/core/index.js', 'fix: core bug')
+		change('README.md', 'docs(cli): cli docs')
+		git('tag cli-v1.1.0')
+		change('packages/cli/index.js', 'fix: unreleased cli bug')
+	})
+
+	it('should only use the tags with the tag prefix', async () => {
+		const { tags, headTag, headVersion, releases } = await filterRepoData(null, parser, { tagPrefix: 'cli-v' })
+
+		expect(tags.map(tag => tag.name)).toEqual(['cli-v1.1.0', 'cli-v1.0.0'])
+		expect(headTag).toBe('cli-v1.1.0')
+		expect(headVersion).toBe('1.1.0')
+		expect(releases['cli-v1.1.0'].version).toBe('1.1.0')
+		expect(releases['cli-v1.1.0'].previous).toBe('cli-v1.0.0')
+	})
+
+	it('should only include the commits touching the paths or with the scopes', async () => {
+		const { releases, unreleased } = await filterRepoData(null, parser, { tagPrefix: 'cli-v', paths: ['packages/cli'], scopes: ['cli'] })
+
+		expect(releases['cli-v1.1.0'].messages).toEqual(['docs(cli): cli docs'])
+		expect(releases['cli-v1.0.0'].messages).toEqual(['feat: cli feature'])
+		expect(unreleased.messages).toEqual(['fix: unreleased cli bug'])
+	})
+
+	it('should pass revisions and paths to git without a shell', () => {
+		const [sha] = getCommitSHAs({ base: 'cli-v1.1.0', paths: ['packages/cli', "it's $(missing).md"] })
+
+		expect(git(`log -1 --format=%s ${sha}`).trim()).toBe('fix: unreleased cli bug')
+	})
+
+	it('should read the commits of a revision range', () => {
+		const sha = getCommitSHAs({ base: 'cli-v1.1.0' })[0]
+		const known = { sha, message: 'fix: known message', author: null, date: null }
+
+		expect(getRangeCommits('cli-v1.0.0...cli-v1.1.0').map(commit => commit.sha)).toEqual(getCommitSHAs({ base: 'cli-v1.0.0', head: 'cli-v1.1.0' }))
+		expect(getRangeCommits('cli-v1.1.0')).toMatchObject([{ sha, message: 'fix: unreleased cli bug', author: { name: 'Test', email: 'test@example.com', login: null } }])
+		expect(getRangeCommits('cli-v1.1.0..HEAD', { [sha]: known })).toEqual([known])
+	})
+
+	it('should throw for ranges that do not resolve', () => {
+		expect(() => getRangeCommits('deadbeef..HEAD')).toThrow('Could not resolve the commit range "deadbeef..HEAD"')
+	})
+
+	it('should keep tags without a prefix separate', async () => {
+		const { tags } = await filterRepoData(null, parser)
+
+		expect(tags.map(tag => tag.name)).toEqual(['1.0.0'])
+	})
+
+	it('should use the version without the prefix in the headings', async () => {
+		const [pkg] = getPackages({ packages: { '@scope/core': { paths: ['packages/core'] } } })
+		const { releases } = await filterRepoData(null, parser, pkg.options)
+		const lines = buildChangelog(releases, pkg.options)
+
+		expect(lines.filter(line => line.startsWith('## '))).toEqual([expect.stringMatching(/^## 1\.0\.0 \(/)])
+		expect(lines).toContain('- core feature')
+		expect(lines).not.toContain('- cli feature')
+	})
+})
+
+describe('filterRepoData (tag patterns)', () => {
+	const parser = new CommitParser()
+	const dated = date => ({ GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date })
+
+	useTempRepo(({ git, commit }) => {
+		commit('feat: september feature', dated('2024-09-15T12:00:00Z'))
+		git('tag release-2024.9')
+		commit('fix: september fix', dated('2024-09-20T12:00:00Z'))
+		git('tag release-2024.9.1')
+		commit('fix: october fix', dated('2024-10-15T12:00:00Z'))
+		git('tag release-2024.10')
+		commit('feat: november build', dated('2024-11-01T12:00:00Z'))
+		git('tag build-2024.1')
+	})
+
+	it('should sort calendar versions', async () => {
+		const { tags, releases } = await filterRepoData(null, parser, { tagPattern: '^release-(\\d{4}\\.\\d+(?:\\.\\d+)?)$', tagSort: 'calver' })
+
+		expect(tags.map(tag => tag.name)).toEqual(['release-2024.10', 'release-2024.9.1', 'release-2024.9'])
+		expect(releases['release-2024.10'].version).toBe('2024.10')
+
+		const lines = buildChangelog(releases)
+		expect(lines.filter(line => line.startsWith('## '))).toEqual([
+			expect.stringMatching(/^## 2024\.10 /),
+			expect.stringMatching(/^## 2024\.9\.1 /),
+			expect.stringMatching(/^## 2024\.9 /),
+		])
+	})
+
+	it('should sort tags by date', async () => {
+		const { tags, releases } = await filterRepoData(null, parser, { tagPattern: '^(?:release|build)-(.+)$', tagSort: 'date' })
+
+		expect(tags.map(tag => tag.name)).toEqual(['build-2024.1', 'release-2024.10', 'release-2024.9.1', 'release-2024.9'])
+		expect(releases['build-2024.1'].messages).toEqual(['feat: november build'])
+	})
+
+	it('should throw for unsupported tag sorts', async () => {
+		await expect(filterRepoData(null, parser, { tagSort: 'alpha' })).rejects.toThrow('Unsupported tag sort "alpha"')
+	})
+})
+
+describe('filterRepoData (merge commits)', () => {
+	const parser = new CommitParser()
+
+	const { git } = useTempRepo(({ git, commit }) => {
+		commit('feat: initial feature')
+		git('tag 1.0.0')
+		git('checkout -q -b feature')
+		commit('wip')
+		commit('more wip')
+		git('checkout -q main')
+		commit('fix: direct fix')
+		git('merge -q --no-ff feature -m "Merge pull request #42 from org/feature" -m "Add the thing"')
+		git('tag 1.1.0')
+	})
+
+	it('should type pull request merge commits as merge by default', async () => {
+		const { releases } = await filterRepoData(null, parser)
+
+		expect(Object.keys(releases['1.1.0'].commits).sort()).toEqual(['feat_change', 'fix', 'merge'])
+	})
+
+	it('should use the pull request title of merge commits', async () => {
+		const { releases } = await filterRepoData(null, parser, { mergeCommits: true })
+		const [merged] = releases['1.1.0'].commits.feat_add
+
+		expect(merged.header).toBe('Add the thing')
+		expect(merged.pullRequest).toMatchObject({ number: 42, title: 'Add the thing' })
+		expect(releases['1.1.0'].commits.merge).toBeUndefined()
+		expect(releases['1.1.0'].commits.feat_change.map(commit => commit.header)).toEqual(['more wip', 'wip'])
+	})
+
+	it('should leave out the branch commits of merge commits', async () => {
+		const { releases } = await filterRepoData(null, parser, { mergeCommits: true, branchCommits: false })
+
+		expect(releases['1.1.0'].messages).toEqual(['Merge pull request #42 from org/feature\n\nAdd the thing', 'fix: direct fix'])
+		expect(Object.keys(releases['1.1.0'].commits).sort()).toEqual(['feat_add', 'fix'])
+
+		const lines = buildChangelog(releases, { onlyBody: true, onlyFirst: true })
+		expect(lines).toContain('- Add the thing (#42)')
+	})
+})
+
+describe('filterRepoData (exclusions)', () => {
+	const parser = new CommitParser()
+
+	useTempRepo(({ git, change }) => {
+		change('src/index.js', 'feat: first feature')
+		git('tag 1.0.0')
+		change('src/index.js', 'fix: real bug')
+		change('CHANGELOG.md', 'Update CHANGELOG.md')
+		change('src/index.js', 'chore: bump version [skip ci]')
+		change('package.json', 'fix: bump dependency', { GIT_AUTHOR_NAME: 'dependabot[bot]', GIT_COMMITTER_NAME: 'dependabot[bot]' })
+		change('src/index.js', 'feat: internal thing\n\nChangelog: skip')
+		change('src/index.js', 'Internal work (#3)\n\n* feat: add x\n* fix: fix y\n\nChangelog: skip')
+		fs.appendFileSync('CHANGELOG.md', 'mixed\n')
+		change('src/index.js', 'feat: mixed change')
+		change('CHANGELOG.md', 'docs: changelog notes')
+	})
+
+	it('should exclude commits by message, author, paths and trailer, and count them', async () => {
+		const exclude = { messages: ['\\[skip ci\\]'], authors: ['\\[bot\\]$'], paths: ['CHANGELOG.md'], trailers: ['Changelog: skip'] }
+		const { unreleased, excluded } = await filterRepoData(null, parser, { exclude })
+
+		expect(Object.values(unreleased.commits).flat().map(commit => commit.subject).sort()).toEqual(['mixed change', 'real bug'])
+		expect(excluded).toEqual({ messages: 1, authors: 1, paths: 2, trailers: 2 })
+	})
+
+	it('should exclude squash commits before splitting them', async () => {
+		const { unreleased, excluded } = await filterRepoData(null, parser, { squashCommits: true, exclude: { trailers: ['Changelog: skip'] } })
+
+		expect(Object.values(unreleased.commits).flat().map(commit => commit.subject)).not.toContain('add x')
+		expect(excluded.trailers).toBe(2)
+	})
+
+	it('should not exclude any commits by default', async () => {
+		const { unreleased, excluded } = await filterRepoData(null, parser)
+
+		expect(Object.values(unreleased.commits).flat()).toHaveLength(8)
+		expect(excluded).toEqual({ messages: 0, authors: 0, paths: 0, trailers: 0 })
+	})
+})
+
+describe('getExcludeReason', () => {
+	const commit = { message: 'fix: bump lodash\n\nCHANGELOG :  Skip', author: { name: 'Renovate Bot', email: 'bot@renovateapp.com', login: 'renovate[bot]' }, committer: null }
+
+	it('should return the rule that excludes the commit', () => {
+		expect(getExcludeReason(commit, { messages: [/^fix: bump/] })).toBe('messages')
+		expect(getExcludeReason(commit, { authors: ['\\[bot\\]$'] })).toBe('authors')
+		expect(getExcludeReason(commit, { trailers: ['Changelog: skip'] })).toBe('trailers')
+		expect(getExcludeReason(commit, { messages: ['^Update CHANGELOG'], authors: ['^dependabot'], trailers: ['Changelog: hide'] })).toBeNull()
+		expect(getExcludeReason(commit)).toBeNull()
+	})
+
+	it('should accept regex literal strings, and throw for invalid patterns', () => {
+		expect(getExcludeReason(commit, { messages: ['/^FIX: bump/'] })).toBeNull()
+		expect(getExcludeReason(commit, { messages: ['/^FIX: bump/i'] })).toBe('messages')
+		expect(() => getExcludeReason(commit, { messages: ['[skip ci'] })).toThrow('Invalid pattern "[skip ci" in option "exclude.messages"')
+		expect(() => getExcludeReason(commit, { authors: ['/(/'] })).toThrow('Invalid pattern "/(/" in option "exclude.authors"')
+	})
+
+	it('should count the excluded commits in getCommits', () => {
+		const { commits, excluded } = getCommits([commit, { message: 'fix: real bug', author: null }], new CommitParser(), { exclude: { authors: ['\\[bot\\]$'] } })
+
+		expect(commits.map(commit => commit.subject)).toEqual(['real bug'])
+		expect(excluded).toEqual({ messages: 0, authors: 1, trailers: 0 })
+	})
+
+	it('should fail getCommits and filterRepoData on invalid patterns', async () => {
+		const exclude = { authors: ['[bot'] }
+
+		expect(() => getCommits(['fix: real bug'], new CommitParser(), { exclude })).toThrow('Invalid pattern "[bot" in option "exclude.authors"')
+		await expect(filterRepoData(null, new CommitParser(), { exclude })).rejects.toThrow('Invalid pattern "[bot" in option "exclude.authors"')
+	})
+})
+
+describe('getPackages', () => {
+	it('should merge the options of each package over the shared options', () => {
+		const options = { types: { fix: 'Fixed' }, packages: { '@scope/core': { paths: ['packages/core/'] }, cli: { tagPrefix: 'cli-v', file: 'CLI.md', types: { feat: 'Added' } } } }
+
+		expect(getPackages(options)).toEqual([
+			{ name: '@scope/core', file: 'packages/core/CHANGELOG.md', options: { types: { fix: 'Fixed' }, tagPrefix: '@scope/core@', paths: ['packages/core/'], scopes: [], file: null } },
+			{ name: 'cli', file: 'CLI.md', options: { types: { feat: 'Added' }, tagPrefix: 'cli-v', paths: [], scopes: [], file: 'CLI.md' } },
+		])
+	})
+
+	it('should return no packages without the packages option', () => {
+		expect(getPackages({ types: {} })).toEqual([])
+	})
+})
+
+describe('createParserOptions', () => {
+	it('should return the default parser options', () => {
+		const options = createParserOptions()
+
+		expect(options.headerPattern).toBeInstanceOf(RegExp)
+		expect(options.headerCorrespondence).toEqual(['type', 'scope', 'breaking', 'subject'])
+	})
+
+	it('should convert strings to regexes and take the correspondence from named groups', () => {
+		const options = createParserOptions({
+			headerPattern: '^\\[[A-Z]+-\\d+\\]\\s(?<type>\\w*)(?:\\((?<scope>[^)]*)\\))?(?<breaking>!)?:\\s(?<subject>.*)$',
+			mergePattern: '/^merged (.+) into (.+)$/i',
+			noteKeywords: ['BREAKING CHANGE', '/^DEPRECATED?/'],
+		})
+
+		expect(options.headerCorrespondence).toEqual(['type', 'scope', 'breaking', 'subject'])
+		expect(options.mergePattern).toEqual(/^merged (.+) into (.+)$/i)
+		expect(options.noteKeywords).toEqual(['BREAKING CHANGE', /^DEPRECATED?/])
+	})
+
+	it('should throw clear errors for invalid options', () => {
+		expect(() => createParserOptions({ headerPattern: '((' })).toThrow('Invalid parser option "headerPattern": Invalid regular expression')
+		expect(() => createParserOptions({ headerPattern: '^(\\w+): (.*)$' })).toThrow('Parser option "headerPattern" has 2 capture groups, but "headerCorrespondence" has 4 fields (type, scope, breaking, subject)')
+		expect(() => createParserOptions({ headerPattern: '^(\\w+): (.*)$', headerCorrespondence: ['scope', 'subject'] })).toThrow('must include the "type" field')
+		expect(() => createParserOptions({ issuePrefixes: '#' })).toThrow('Invalid parser option "issuePrefixes", expected an array of strings')
+	})
+
+	it('should parse commits with custom conventions', () => {
+		const parser = new CommitParser(createParserOptions({ headerPattern: '^(\\w*)/(\\w*): (.*)$', headerCorrespondence: ['type', 'scope', 'subject'], breakingHeaderPattern: null }))
+		const { groups } = getCommits(['fix/api: handle timeouts', 'Some work'], parser)
+
+		expect(groups.fix.map(commit => [commit.scope, commit.subject])).toEqual([['api', 'handle timeouts']])
+		expect(groups.other.map(commit => commit.subject)).toEqual(['Some work'])
+	})
+})
+
+describe('explainMessageType', () => {
+	it('should explain which rule and pattern matched', () => {
+		expect(explainMessageType('Add tests for the parser')).toEqual({ type: 'test', rule: 'test', pattern: '(fix|add|correct|create|improve|include|update|run|remove).*tests?' })
+		expect(explainMessageType('Added a parser')).toEqual({ type: 'feat', subType: 'add', rule: 'feat-add', pattern: '^add(s|ed|ing)?' })
+		expect(explainMessageType('1.2.3')).toEqual({ type: 'build', rule: 'build', pattern: null })
+	})
+
+	it('should fall back to the default type without a rule', () => {
+		expect(explainMessageType('Some work')).toEqual({ type: 'other', rule: null, pattern: null })
+		expect(explainMessageType('Some work', { defaultType: { type: 'feat', subType: 'change' } })).toEqual({ type: 'feat', subType: 'change', rule: null, pattern: null })
+		expect(explainMessageType('Fix tests', { forceType: 'feat' })).toEqual({ type: 'feat', subType: 'change', rule: null, pattern: null })
+	})
+
+	it('should use custom rules before the default rules', () => {
+		const messageRules = [{ name: 'hotfix', type: 'fix', patterns: ['hotfix(es)?'] }, { name: 'migration', type: 'feat_change', patterns: [/\bmigrations?\b/i] }]
+
+		expect(explainMessageType('Add hotfix for the parser', { messageRules })).toEqual({ type: 'fix', rule: 'hotfix', pattern: 'hotfix(es)?' })
+		expect(getMessageType('Update Migrations', { messageRules })).toEqual({ type: 'feat', subType: 'change' })
+	})
+})
+
+describe('createMessageRules', () => {
+	const names = rules => rules.map(rule => rule.name)
+
+	it('should replace default rules with the same name in place', () => {
+		const rules = createMessageRules([{ name: 'ci', type: 'ci', patterns: ['jenkins', 'github actions'] }, { name: 'test', type: 'test', patterns: [] }])
+
+		expect(names(rules)).toEqual(names(defaultMessageRules))
+		expect(getMessageType('Run the github actions', { messageRules: rules })).toEqual({ type: 'ci' })
+		expect(getMessageType('Add tests', { messageRules: [{ name: 'test', type: 'test', patterns: [] }] })).toEqual({ type: 'feat', subType: 'add' })
+	})
+
+	it('should insert rules before or after another rule', () => {
+		const rules = createMessageRules([{ name: 'first', type: 'chore', patterns: [] }, { name: 'a', type: 'fix', patterns: [], before: 'test' }, { name: 'b', type: 'fix', patterns: [], after: 'test' }])
+
+		expect(names(rules).slice(0, 2)).toEqual(['first', 'merge'])
+		expect(names(rules).slice(names(rules).indexOf('a'), names(rules).indexOf('a') + 3)).toEqual(['a', 'test', 'b'])
+	})
+
+	it('should accept regex literal strings as patterns', () => {
+		const messageRules = [{ name: 'hotfix', type: 'fix', patterns: ['/^HOTFIX-\\d+/i'] }]
+
+		expect(createMessageRules(messageRules)[0].patterns).toEqual([/^HOTFIX-\d+/i])
+		expect(explainMessageType('hotfix-12 for the parser', { messageRules })).toEqual({ type: 'fix', rule: 'hotfix', pattern: '/^HOTFIX-\\d+/i' })
+	})
+
+	it('should throw on invalid rules', () => {
+		expect(() => createMessageRules([{ name: 'x', type: 'fix', patterns: [], before: 'missing' }])).toThrow('Unknown message rule "missing" in rule "x"')
+		expect(() => createMessageRules([{ name: 'x', type: 'fix' }])).toThrow('Invalid message rule "x"')
+		expect(() => createMessageRules([{ name: 'x', type: 'fix', patterns: ['/(/'] }])).toThrow('Invalid pattern "/(/" in message rule "x"')
+	})
+
+	it('should be used by getCommits', () => {
+		const { groups } = getCommits(['Hotfix for the parser'], new CommitParser(), { messageRules: [{ name: 'hotfix', type: 'fix', patterns: ['^hotfix'] }] })
+
+		expect(Object.keys(groups)).toEqual(['fix'])
+	})
+
+	it('should fail getCommits and filterRepoData on invalid rules', async () => {
+		const messageRules = [{ name: 'hotfix', type: 'fix', patterns: ['^hotfix'], after: 'missing' }]
+
+		expect(() => getCommits(['Hotfix for the parser'], new CommitParser(), { messageRules })).toThrow('Unknown message rule "missing" in rule "hotfix"')
+		await expect(filterRepoData(null, new CommitParser(), { messageRules })).rejects.toThrow('Unknown message rule "missing" in rule "hotfix"')
+	})
+})
+
+describe('getNotices', () => {
+	const commit = { notes: [{ title: 'BREAKING CHANGE', text: 'Removed the API' }, { title: 'DEPRECATED', text: 'Old option' }] }
+
+	it('should match notes by label or RegExp', () => {
+		expect(getNotices(commit, 'DEPRECATED')).toEqual(['Old option'])
+		expect(getNotices(commit, 'BREAKING CHANGES', /^BREAKING[ -]CHANGE$/)).toEqual(['Removed the API'])
+	})
+
+	it('should fall back to the breaking header for breaking changes', () => {
+		expect(getNotices({ notes: [], breaking: '!' }, 'BREAKING CHANGE')).toEqual(['!'])
+		expect(getNotices({ notes: [], breaking: '!' }, 'DEPRECATED')).toEqual([])
+	})
+})
+
+describe('getNextVersion', () => {
+	const fix = { fix: [{ subject: 'Fix bug', notes: [] }] }
+	const feat = { feat_add: [{ subject: 'Add feature', notes: [] }], ...fix }
+	const breaking = { ...feat, fix: [{ subject: 'Fix API', notes: [{ title: 'BREAKING CHANGE', text: 'Changed API' }] }] }
+
+	it.each([
+		['1.2.3', fix, '1.2.4', 'patch'],
+		['1.2.3', feat, '1.3.0', 'minor'],
+		['1.2.3', breaking, '2.0.0', 'major'],
+		['v1.2.3', feat, 'v1.3.0', 'minor'],
+		['1.2.3', { chore: [{ subject: 'Update deps', notes: [] }] }, '1.2.4', 'patch'],
+	])('should bump %s', (version, commits, expected, type) => {
+		expect(getNextVersion(commits, version)).toEqual({ current: version, version: expected, type })
+	})
+
+	it('should not bump without pending commits', () => {
+		expect(getNextVersion({}, '1.2.3')).toEqual({ current: '1.2.3', version: '1.2.3', type: null })
+	})
+
+	it('should apply the pre-1.0 rules', () => {
+		expect(getNextVersion(breaking, '0.2.3')).toMatchObject({ version: '0.3.0', type: 'minor' })
+		expect(getNextVersion(feat, '0.2.3')).toMatchObject({ version: '0.2.4', type: 'patch' })
+		expect(getNextVersion(breaking, '0.2.3', { preMajor: false })).toMatchObject({ version: '1.0.0', type: 'major' })
+	})
+
+	it('should start from 0.0.0 when there is no version', () => {
+		expect(getNextVersion(feat, null)).toEqual({ current: null, version: '0.0.1', type: 'patch' })
+	})
+
+	it('should handle prerelease identifiers', () => {
+		expect(getNextVersion(feat, '1.2.3', { prerelease: 'beta' }).version).toBe('1.3.0-beta.0')
+		expect(getNextVersion(feat, '1.3.0-beta.0', { prerelease: 'beta' }).version).toBe('1.3.0-beta.1')
+		expect(getNextVersion(breaking, '1.3.0-beta.0', { prerelease: 'beta' }).version).toBe('2.0.0-beta.0')
+		expect(getNextVersion(feat, '1.3.0-beta.1').version).toBe('1.3.0')
+	})
+
+	it('should throw for versions that are not semantic versions', () => {
+		expect(() => getNextVersion(feat, 'latest')).toThrow('Invalid version string "latest"')
+	})
+})
+
+describe('setFileVersion', () => {
+	it('should set the version of JSON files, keeping their indentation', () => {
+		expect(setFileVersion('{\n\t"name": "pkg",\n\t"version": "1.0.0"\n}\n', 'v1.1.0')).toBe('{\n\t"name": "pkg",\n\t"version": "1.1.0"\n}\n')
+		expect(setFileVersion('{\n  "version": "1.0.0",\n  "packages": {\n    "": {\n      "version": "1.0.0"\n    }\n  }\n}', '2.0.0', { file: 'package-lock.json' })).toBe('{\n  "version": "2.0.0",\n  "packages": {\n    "": {\n      "version": "2.0.0"\n    }\n  }\n}')
+	})
+
+	it('should replace the current version in other files', () => {
+		expect(setFileVersion('VERSION = "1.0.0"\nMIN = "11.0.0"\n', '1.0.1', { file: 'version.py', current: 'v1.0.0' })).toBe('VERSION = "1.0.1"\nMIN = "11.0.0"\n')
+		expect(setFileVersion('1.0.0-beta.1\n1.0.0', '1.0.1', { file: 'VERSION', current: '1.0.0' })).toBe('1.0.0-beta.1\n1.0.1')
+	})
+
+	it('should throw if the current version is not in the file', () => {
+		expect(() => setFileVersion('nothing here', '1.0.1', { file: 'VERSION', current: '1.0.0' })).toThrow('Could not find version "1.0.0" in VERSION')
+	})
+})
+
+describe('mergeChangelog', () => {
+	const existing = [
+		'# Changelog',
+		'',
+		'Hand-written intro.',
+		'',
+		'## Unreleased',
+		'',
+		'- Old pending change',
+		'',
+		'## 1.1.0 (2023-02-01)',
+		'',
+		'- Curated *by hand*',
+		'',
+		'## 1.0.0 (2023-01-01)',
+		'',
+		'- Initial release',
+		'',
+	].join('\n')
+
+	const changelog = [
+		'# Changelog', '',
+		'', '## 1.2.0 (2023-03-01)', '', '### Added', '', '- New feature', '',
+		'', '## 1.1.0 (2023-02-01)', '', '### Added', '', '- Generated', '',
+		'', '## 1.0.0 (2023-01-01)', '', '### Added', '', '- Generated', '',
+	].join('\n')
+
+	it('should add missing releases and keep existing ones untouched', () => {
+		const result = mergeChangelog(existing, changelog)
+
+		expect(result).toBe([
+			'# Changelog',
+			'',
+			'Hand-written intro.',
+			'',
+			'## 1.2.0 (2023-03-01)',
+			'',
+			'### Added',
+			'',
+			'- New feature',
+			'',
+			'',
+			'## 1.1.0 (2023-02-01)',
+			'',
+			'- Curated *by hand*',
+			'',
+			'## 1.0.0 (2023-01-01)',
+			'',
+			'- Initial release',
+			'',
+		].join('\n'))
+	})
+
+	it('should replace the unreleased section', () => {
+		const result = mergeChangelog(existing, '# Changelog\n\n\n## Unreleased\n\n- New pending change\n')
+
+		expect(result).toContain('## Unreleased\n\n- New pending change\n')
+		expect(result).not.toContain('Old pending change')
+		expect(result).toContain('## 1.1.0 (2023-02-01)\n\n- Curated *by hand*\n')
+	})
+
+	it('should insert releases in version order', () => {
+		const result = mergeChangelog('# Changelog\n\n## 2.0.0\n\n- Two\n\n## 1.0.0\n\n- One\n', '## 1.5.0\n\n- One and a half\n')
+
+		expect(result).toBe('# Changelog\n\n## 2.0.0\n\n- Two\n\n## 1.5.0\n\n- One and a half\n\n\n## 1.0.0\n\n- One\n')
+	})
+
+	it('should return the new changelog when there is no existing content', () => {
+		expect(mergeChangelog('', changelog)).toBe(changelog)
+	})
+
+	it('should rebuild the reference definitions of both changelogs', () => {
+		const options = { repoUrl: 'https://github.com/acme/widgets', compareLinks: 'references' }
+		const first = { 'v1.0.0': { tag: 'v1.0.0', previous: null, date: '2023-01-01', commits: { fix: [{ subject: 'Fix first', notes: [] }] } } }
+		const second = { 'v1.1.0': { tag: 'v1.1.0', previous: 'v1.0.0', date: '2023-02-01', commits: { fix: [{ subject: 'Fix bug', notes: [] }] } }, ...first }
+
+		const result = mergeChangelog(buildChangelog(first, options).join('\n'), buildChangelog({ 'v1.1.0': second['v1.1.0'] }, options).join('\n'))
+		const lines = result.split('\n')
+
+		expect(lines.filter(line => line.startsWith('## '))).toEqual(['## [1.1.0] (2023-02-01)', '## [1.0.0] (2023-01-01)'])
+		expect(lines.filter(line => line.startsWith('[1.'))).toEqual([
+			'[1.1.0]: https://github.com/acme/widgets/compare/v1.0.0...v1.1.0',
+			'[1.0.0]: https://github.com/acme/widgets/tree/v1.0.0',
+		])
+		expect(result.endsWith('- Fix first\n\n[1.1.0]: https://github.com/acme/widgets/compare/v1.0.0...v1.1.0\n[1.0.0]: https://github.com/acme/widgets/tree/v1.0.0\n')).toBe(true)
+	})
+})
+
+describe('buildChangelog', () => {
+	const getReleases = () => ({
+		'v1.1.0': {
+			date: '2023-02-01',
+			header: 'Second release',
+			commits: {
+				feat_add: [{ subject: 'Add <widget>', scope: 'ui', notes: [] }, { subject: 'Add api', notes: [{ title: 'BREAKING CHANGE', text: 'Changed API' }] }],
+				fix: [{ subject: 'Fix bug', notes: [] }],
+				chore: [{ subject: 'Update deps', notes: [] }],
+			},
+		},
+		'v1.0.0': { date: '2023-01-01', commits: { feat_change: [{ subject: 'Initial release', notes: [] }] } },
+	})
+
+	it('should build a Markdown changelog by default', () => {
+		expect(buildChangelog(getReleases()).join('\n')).toBe([
+			'# Changelog', '',
+			'', '## 1.1.0 (2023-02-01)', '',
+			'Second release', '',
+			'### Added', '', '- Add api', '- ui', '  - Add &lt;widget&gt;', '',
+			'### Fixed', '', '- Fix bug', '',
+			'### BREAKING CHANGES', '', '- Changed API', '', '',
+			'', '## 1.0.0 (2023-01-01)', '',
+			'### Changed', '', '- Initial release', '',
+		].join('\n'))
+	})
+
+	it('should build a format-neutral model', () => {
+		const model = buildChangelogModel(getReleases(), { onlyFirst: true })
+
+		expect(model.releases).toHaveLength(1)
+		expect(model.releases[0]).toMatchObject({ version: 'v1.1.0', title: '1.1.0', date: '2023-02-01', header: 'Second release' })
+		expect(model.releases[0].notices).toEqual([{ label: 'BREAKING CHANGES', items: ['Changed API'] }])
+		expect(model.releases[0].sections.map(section => section.title)).toEqual(['Added', 'Fixed'])
+		expect(model.releases[0].sections[0].groups.map(group => group.title)).toEqual([null, 'ui'])
+	})
+
+	it('should render HTML', () => {
+		const html = buildChangelog(getReleases(), { format: 'html', onlyFirst: true })
+
+		expect(html).toContain('<h2>1.1.0 (2023-02-01)</h2>')
+		expect(html).toContain('\t\t\t<li>Add &lt;widget&gt;</li>')
+	})
+
+	it('should render AsciiDoc', () => {
+		const adoc = buildChangelog(getReleases(), { format: 'asciidoc', onlyFirst: true })
+
+		expect(adoc.slice(0, 4)).toEqual(['= Changelog', '', '== 1.1.0 (2023-02-01)', ''])
+		expect(adoc).toContain('** Add <widget>')
+	})
+
+	it('should escape AsciiDoc markup in text', () => {
+		const releases = {
+			'v1.0.0': {
+				commits: {
+					fix: [{
+						subject: 'Handle *bold* and snake_case in `code` for {attr}, #12 and [links]',
+						scope: 'c++',
+						references: [{ issue: '12', prefix: '#', owner: null, repository: null }],
+						notes: [],
+					}],
+				},
+			},
+		}
+		const adoc = buildChangelog(releases, { format: 'asciidoc', onlyBody: true, repoUrl: 'https://github.com/o/r', links: true })
+
+		expect(adoc).toContain('* c&#43;&#43;')
+		expect(adoc).toContain('** Handle &#42;bold&#42; and snake&#95;case in &#96;code&#96; for &#123;attr&#125;, link:https://github.com/o/r/issues/12[&#35;12] and &#91;links&#93;')
+	})
+
+	it('should render JSON without the commits', () => {
+		const [json] = buildChangelog(getReleases(), { format: 'json', onlyBody: true })
+		const releases = JSON.parse(json)
+
+		expect(releases[1].sections[0].groups[0].entries).toEqual([{ text: 'Initial release', type: 'feat_change', subType: false, scope: null, hash: null, author: null, date: null, url: null, references: [], mentions: [], reverts: null, pullRequest: null }])
+	})
+
+	it('should accept a custom renderer', () => {
+		const renderer = model => model.releases.map(release => release.title)
+
+		expect(buildChangelog(getReleases(), { format: renderer })).toEqual(['1.1.0', '1.0.0'])
+	})
+
+	it('should render custom templates', () => {
+		const releases = {
+			'v2.0.0': {
+				date: '2023-03-01',
+				commits: {
+					fix: [{
+						subject: 'Fix <crash>',
+						scope: 'api',
+						type: 'fix',
+						hash: '0123456789abcdef',
+						author: { name: 'Jane Doe', email: 'jane@example.com', login: 'jane' },
+						references: [{ issue: '12', prefix: '#', owner: null, repository: null }],
+						notes: [],
+					}],
+				},
+			},
+		}
+		const templates = {
+			release: '[{{version}}]{{#date}} - {{date}}{{/date}}',
+			section: '{{title}} ({{type}})',
+			group: '',
+			entry: '{{#scope}}**{{scope}}:** {{/scope}}{{subject}} by {{author}} ({{references}}) {{shortSha}}',
+		}
+
+		expect(buildChangelog(releases, { templates, onlyFirst: true }).join('\n')).toBe([
+			'# Changelog', '',
+			'', '## [v2.0.0] - 2023-03-01', '',
+			'### Fixed (fix)', '',
+			'- **api:** Fix &lt;crash&gt; by jane (#12) 0123456',
+			'',
+		].join('\n'))
+	})
+
+	it('should not render template syntax inside substituted values', () => {
+		const releases = { 'v1.0.0': { commits: { fix: [{ subject: 'Document {{shortSha}} and {{#scope}}x{{/scope}}', scope: 'api', hash: '0123456789abcdef', notes: [] }] } } }
+		const templates = { group: '', entry: '{{#scope}}{{scope}}: {{subject}}{{/scope}} {{shortSha}}' }
+
+		expect(buildChangelog(releases, { templates, onlyBody: true })).toContain('- api: Document {{shortSha}} and {{#scope}}x{{/scope}} 0123456')
+	})
+
+	it('should link commits, issue references and mentions', () => {
+		const releases = {
+			'v1.0.0': {
+				commits: {
+					fix: [{
+						subject: 'Fix #12 and acme/other#3 for @jane',
+						hash: '0123456789abcdef',
+						references: [{ issue: '12', prefix: '#', owner: null, repository: null }, { issue: '3', prefix: '#', owner: 'acme', repository: 'other' }],
+						mentions: ['jane'],
+						notes: [],
+					}],
+				},
+			},
+		}
+		const options = { onlyBody: true, repoUrl: 'https://git.example.com/acme/widgets/', links: true }
+
+		expect(buildChangelog(structuredClone(releases), options)).toContain([
+			'- Fix [#12](https://git.example.com/acme/widgets/issues/12)',
+			'and [acme/other#3](https://git.example.com/acme/other/issues/3)',
+			'for [@jane](https://git.example.com/jane)',
+			'([0123456](https://git.example.com/acme/widgets/commit/0123456789abcdef))',
+		].join(' '))
+
+		const urls = { commit: '{{repoUrl}}/commits/{{sha}}' }
+		expect(buildChangelog(structuredClone(releases), { ...options, links: { commits: true }, urls })).toContain(
+			'- Fix #12 and acme/other#3 for @jane ([0123456](https://git.example.com/acme/widgets/commits/0123456789abcdef))',
+		)
+		expect(buildChangelog(structuredClone(releases), { onlyBody: true, links: true })).toContain('- Fix #12 and acme/other#3 for @jane')
+	})
+
+	it('should link release headings to the comparison with the previous release', () => {
+		const releases = {
+			'HEAD': { tag: 'HEAD', previous: 'v1.1.0', unreleased: true, commits: { fix: [{ subject: 'Fix later', notes: [] }] } },
+			'v1.1.0': { tag: 'v1.1.0', previous: 'v1.0.0', date: '2023-02-01', commits: { fix: [{ subject: 'Fix bug', notes: [] }] } },
+			'v1.0.0': { tag: 'v1.0.0', previous: null, date: '2023-01-01', commits: { fix: [{ subject: 'Fix first', notes: [] }] } },
+		}
+		const repoUrl = 'https://github.com/acme/widgets'
+
+		const headings = buildChangelog(structuredClone(releases), { repoUrl, compareLinks: 'heading' }).filter(line => line.startsWith('## '))
+		expect(headings).toEqual([
+			'## [Unreleased](https://github.com/acme/widgets/compare/v1.1.0...HEAD)',
+			'## [1.1.0](https://github.com/acme/widgets/compare/v1.0.0...v1.1.0) (2023-02-01)',
+			'## [1.0.0](https://github.com/acme/widgets/tree/v1.0.0) (2023-01-01)',
+		])
+
+		const lines = buildChangelog(structuredClone(releases), { repoUrl, compareLinks: 'references', urls: { compare: '{{repoUrl}}/compare/{{previous}}..{{tag}}' } })
+		expect(lines.filter(line => line.startsWith('## '))).toEqual(['## [Unreleased]', '## [1.1.0] (2023-02-01)', '## [1.0.0] (2023-01-01)'])
+		expect(lines.slice(-4)).toEqual([
+			'[Unreleased]: https://github.com/acme/widgets/compare/v1.1.0..HEAD',
+			'[1.1.0]: https://github.com/acme/widgets/compare/v1.0.0..v1.1.0',
+			'[1.0.0]: https://github.com/acme/widgets/tree/v1.0.0',
+			'',
+		])
+	})
+
+	it('should normalize the format name', () => {
+		const options = { format: ' HTML ', onlyFirst: true }
+
+		expect(buildChangelog(getReleases(), options)[0]).toBe('<h1>Changelog</h1>')
+		expect(options.format).toBe('html')
+	})
+
+	it('should throw for unsupported formats', () => {
+		expect(() => buildChangelog(getReleases(), { format: 'rtf' })).toThrow('Unsupported changelog format "rtf"')
+	})
+})
+
+describe('buildChangelog (scope groups)', () => {
+	const releases = {
+		'v1.0.0': {
+			date: '2023-01-01',
+			commits: {
+				feat_add: [{ subject: 'Add button', scope: 'ui', notes: [] }, { subject: 'Add form', scope: 'Frontend', notes: [] }, { subject: 'Add endpoint', scope: 'api', notes: [] }, { subject: 'Add docs', notes: [] }],
+				fix: [{ subject: 'Fix layout', scope: 'UI', notes: [] }, { subject: 'Fix release', scope: 'release', notes: [{ title: 'BREAKING CHANGE', text: 'Hidden' }] }],
+			},
+		},
+	}
+	const scopeGroups = { aliases: { frontend: ['ui', 'web'] }, names: { frontend: 'Frontend', api: 'API' }, order: ['ui', 'api'], hidden: ['release'] }
+
+	it('should merge aliases, name, order and hide scopes', () => {
+		const model = buildChangelogModel(releases, { scopeGroups })
+
+		expect(model.releases[0].notices).toEqual([])
+		expect(model.releases[0].sections.map(section => section.groups.map(group => [group.title, group.entries.map(entry => entry.text)]))).toEqual([
+			[['Frontend', ['Add button', 'Add form']], ['API', ['Add endpoint']], [null, ['Add docs']]],
+			[['Frontend', ['Fix layout']]],
+		])
+		expect(model.releases[0].sections[0].groups[0].entries[0].scope).toBe('frontend')
+	})
+
+	it('should group by scope first and type second with the scope layout', () => {
+		const changelog = buildChangelog(releases, { scopeGroups, layout: 'scope', onlyBody: true })
+
+		expect(changelog.join('\n')).toBe([
+			'### Frontend', '', '- Added', '  - Add button', '  - Add form', '- Fixed', '  - Fix layout', '',
+			'### API', '', '- Added', '  - Add endpoint', '',
+			'### Other', '', '- Added', '  - Add docs', '',
+		].join('\n'))
+	})
+
+	it('should pass the scope and type to the section and group templates', () => {
+		const changelog = buildChangelog(releases, { scopeGroups: { ...scopeGroups, names: { '': 'General' }, order: ['', 'api'] }, layout: 'scope', onlyBody: true, templates: { section: '{{title}} ({{scope}})', group: '{{type}}' } })
+
+		expect(changelog.filter(line => line.startsWith('###') || line.startsWith('- '))).toEqual(['### General ()', '- feat_add', '### api (api)', '- feat_add', '### frontend (frontend)', '- feat_add', '- fix'])
+		expect(() => buildChangelog(releases, { layout: 'tree' })).toThrow('Unsupported layout "tree"')
+	})
+
+	it('should only merge scopes that differ in case with ignoreCase', () => {
+		const releases = { 'v1.0.0': { commits: { fix: [{ subject: 'Fix route', scope: 'API', notes: [] }, { subject: 'Fix auth', scope: 'api', notes: [] }] } } }
+		const titles = options => buildChangelogModel(releases, options).releases[0].sections[0].groups.map(group => [group.title, group.entries.length])
+
+		expect(titles()).toEqual([['API', 1], ['api', 1]])
+		expect(titles({ scopeGroups: { ignoreCase: true } })).toEqual([['api', 2]])
+		expect(titles({ scopeGroups: { ignoreCase: true, names: { API: 'API' } } })).toEqual([['API', 2]])
+	})
+
+	it('should only credit the contributors of shown scopes', () => {
+		const author = { name: 'Release Bot', email: 'release@example.com', login: 'release-bot' }
+		const model = buildChangelogModel({ 'v1.0.0': { commits: { fix: [{ subject: 'Fix release', scope: 'release', author, notes: [] }, { subject: 'Fix bug', notes: [] }] } } }, { scopeGroups, contributors: true })
+
+		expect(model.releases[0].contributors).toEqual([])
+	})
+})
+
+describe('renderTemplate', () => {
+	it('should replace variables', () => {
+		expect(renderTemplate('{{ title }} ({{date}})', { title: '1.0.0', date: '2023-01-01' })).toBe('1.0.0 (2023-01-01)')
+		expect(renderTemplate('{{missing}}!', {})).toBe('!')
+	})
+
+	it('should render sections based on the variables', () => {
+		const template = '{{title}}{{#date}} ({{date}}){{/date}}{{^date}} (unreleased){{/date}}'
+
+		expect(renderTemplate(template, { title: '1.0.0', date: '2023-01-01' })).toBe('1.0.0 (2023-01-01)')
+		expect(renderTemplate(template, { title: '1.0.0', date: '' })).toBe('1.0.0 (unreleased)')
+	})
+})
+
+describe('getContributors', () => {
+	const jane = { name: 'Jane Doe', email: 'jane@example.com', login: 'jane' }
+	const john = { name: 'John Smith', email: 'john@example.com', login: null }
+	const bot = { name: 'dependabot[bot]', email: 'bot@example.com', login: 'dependabot[bot]' }
+
+	const releases = {
+		'1.1.0': {
+			commits: {
+				fix: [{ subject: 'Fix', author: { ...jane, login: null }, coAuthors: [john] }],
+				chore: [{ subject: 'Bump', author: bot, coAuthors: [] }],
+			},
+		},
+		'1.0.0': { commits: { feat_add: [{ subject: 'Add', author: jane, coAuthors: [] }] } },
+	}
+
+	it('should collect unique contributors and mark first-time contributors', () => {
+		expect(getContributors(releases)).toEqual({
+			'1.0.0': [{ ...jane, firstTime: true }],
+			'1.1.0': [{ ...jane, firstTime: false }, { ...john, firstTime: true }],
+		})
+	})
+
+	it('should use custom exclusion patterns', () => {
+		expect(getContributors(releases, { exclude: ['^John'] })['1.1.0'].map(contributor => contributor.name)).toEqual(['dependabot[bot]', 'Jane Doe'])
+		expect(getContributors(releases, { exclude: ['/^JOHN/'] })['1.1.0']).toHaveLength(3)
+		expect(() => getContributors(releases, { exclude: ['^(John'] })).toThrow('Invalid pattern "^(John" in option "contributors.exclude"')
+	})
+
+	it('should parse co-authors from commit trailers', () => {
+		expect(getCoAuthors('feat: add\n\nCo-authored-by: John Smith <john@example.com>')).toEqual([john])
+	})
+
+	it('should render a contributors section', () => {
+		const options = { onlyBody: true, contributors: { title: 'Thanks' }, repoUrl: 'https://github.com/acme/widgets', links: { mentions: true } }
+
+		expect(buildChangelog(structuredClone(releases), options).join('\n')).toContain([
+			'### Thanks',
+			'',
+			'- [@jane](https://github.com/jane)',
+			'- John Smith (first contribution)',
+			'',
+		].join('\n'))
+	})
+})
@@ -0,0 +1,51 @@
+import { beforeAll, afterAll } from 'vitest'
+import { execSync } from 'child_process'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+
+const identity = { GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 'test@example.com', GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 'test@example.com' }
+
+/**
+ * @typedef {Object} TempRepo
+ * @property {function(string, Object=): string} git - Runs a git command in the repository, with extra environment variables, e.g. the author.
+ * @property {function(string, Object=): string} commit - Makes an empty commit, or commits the staged changes.
+ * @property {function(string, string, Object=): string} change - Appends the message to a file, and commits it.
+ */
+
+/**
+ * Creates a temporary git repository for the tests of a describe block, and makes it the working directory until they end.
+ *
+ * @param {function(TempRepo): void} setup - Creates the commits and tags of the repository.
+ * @returns {TempRepo} The helpers, to inspect or change the repository in the tests.
+ */
+function useTempRepo(setup) {
+	const cwd = process.cwd()
+	let dir
+
+	const git = (command, env = {}) => execSync(`git ${command}`, { encoding: 'utf-8', env: { ...process.env, ...identity, ...env } })
+	const commit = (message, env) => git(`commit --allow-empty -q -m "${message}"`, env)
+	const change = (file, message, env) => {
+		fs.mkdirSync(path.dirname(file), { recursive: true })
+		fs.appendFileSync(file, message + '\n')
+		git('add -A')
+		return git(`commit -q -m "${message}"`, env)
+	}
+	const repo = { git, commit, change }
+
+	beforeAll(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'changelog-'))
+		process.chdir(dir)
+		git('init -q -b main')
+		setup(repo)
+	})
+
+	afterAll(() => {
+		process.chdir(cwd)
+		fs.rmSync(dir, { recursive: true, force: true })
+	})
+
+	return repo
+}
+
+export { identity, useTempRepo }